@@ -0,0 +1,103 @@
+const { AuditEvent } = require("./models")
+
+// Never copied into audit snapshots
+const SENSITIVE_FIELDS = [
+  "password",
+  "refreshTokenHash",
+  "rotatedTokenHashes",
+  "tokenHash",
+  "keyHash",
+]
+
+const IGNORED_DIFF_FIELDS = ["updatedAt", "__v"]
+
+// Plain, JSON-safe copy of a document with secrets removed
+const snapshot = (doc) => {
+  if (!doc) return null
+
+  const plain = JSON.parse(
+    JSON.stringify(
+      typeof doc.toObject === "function"
+        ? doc.toObject({ depopulate: true })
+        : doc
+    )
+  )
+  for (const field of SENSITIVE_FIELDS) {
+    delete plain[field]
+  }
+  return plain
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value)
+
+// List every leaf path whose value changed between two snapshots
+const computeDiff = (before, after, prefix = "") => {
+  const changes = []
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ])
+
+  for (const key of keys) {
+    if (!prefix && IGNORED_DIFF_FIELDS.includes(key)) continue
+
+    const path = prefix ? `${prefix}.${key}` : key
+    const from = before ? before[key] : undefined
+    const to = after ? after[key] : undefined
+
+    if (isObject(from) && isObject(to)) {
+      changes.push(...computeDiff(from, to, path))
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from, to })
+    }
+  }
+
+  return changes
+}
+
+// Persist one audit event. Failures are logged and never break the request.
+// `actor` overrides req.user, e.g. for registration or login.
+const recordAudit = async (
+  req,
+  { action, targetType, targetId, before, after, metadata, actor }
+) => {
+  try {
+    const user = actor || req.user
+    const beforeSnapshot = snapshot(before)
+    const afterSnapshot = snapshot(after)
+
+    await AuditEvent.create({
+      actorId: user?._id || null,
+      actorRole: user?.role,
+      actorType: req.system
+        ? "system"
+        : req.apiKey
+        ? "api-key"
+        : user
+        ? "user"
+        : "anonymous",
+      apiKeyId: req.apiKey?._id || null,
+      action,
+      targetType,
+      targetId: targetId || after?._id || before?._id || null,
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      diff:
+        beforeSnapshot || afterSnapshot
+          ? computeDiff(beforeSnapshot, afterSnapshot)
+          : [],
+      metadata,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    })
+  } catch (error) {
+    console.log("⚠️ Audit event not recorded:", action, error.message)
+  }
+}
+
+// Background jobs have no request; their events use actorType "system"
+const recordSystemAudit = (event) =>
+  recordAudit({ system: true, headers: {} }, event)
+
+module.exports = { snapshot, computeDiff, recordAudit, recordSystemAudit }
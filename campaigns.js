@@ -0,0 +1,336 @@
+const mongoose = require("mongoose")
+const { Campaign } = require("./models")
+const { recordSystemAudit } = require("./audit")
+const { normalizeTerm, ancestorsOf } = require("./taxonomy")
+
+// Allowed status changes. Completed campaigns cannot be restarted; create a
+// new campaign instead.
+const CAMPAIGN_TRANSITIONS = {
+  draft: ["active", "archived"],
+  active: ["paused", "completed"],
+  paused: ["active", "completed"],
+  completed: ["archived"],
+  archived: [],
+}
+
+const CAMPAIGN_STATUSES = Object.keys(CAMPAIGN_TRANSITIONS)
+
+const MAX_CAMPAIGN_ASSETS = 10
+
+const canTransition = (from, to) =>
+  (CAMPAIGN_TRANSITIONS[from] || []).includes(to)
+
+const AMOUNT_PATTERN = /^\d{1,12}(\.\d{1,2})?$/
+
+// Form fields arrive as strings, JSON bodies as numbers; "" and null clear
+const parseAmount = (value, field, errors) => {
+  if (value === "" || value === null) return null
+  const text = typeof value === "number" ? String(value) : value
+  if (typeof text !== "string" || !AMOUNT_PATTERN.test(text)) {
+    errors.push(`${field} must be a non-negative amount with up to 2 decimals`)
+    return undefined
+  }
+  return Number(text)
+}
+
+const parseDate = (value, field, errors) => {
+  if (value === "" || value === null) return null
+  const date = typeof value === "string" ? new Date(value) : null
+  if (!date || isNaN(date)) {
+    errors.push(`${field} must be a valid date`)
+    return undefined
+  }
+  return date
+}
+
+// Validate schedule and budget fields (startsAt, endsAt, currency,
+// totalBudget, creatorBudget) from a request body. Returns { errors, set }
+// with dot paths for Campaign#set. `current` supplies the values that are
+// not being changed, so cross-field rules also hold for partial updates.
+const parseCampaignTerms = (body, current = {}) => {
+  const errors = []
+  const set = {}
+
+  if (body.startsAt !== undefined) {
+    set.startsAt = parseDate(body.startsAt, "startsAt", errors)
+  }
+  if (body.endsAt !== undefined) {
+    set.endsAt = parseDate(body.endsAt, "endsAt", errors)
+  }
+  if (body.currency !== undefined) {
+    if (typeof body.currency === "string" && /^[A-Z]{3}$/.test(body.currency)) {
+      set["budget.currency"] = body.currency
+    } else {
+      errors.push("currency must be a 3-letter ISO 4217 code, e.g. USD")
+    }
+  }
+  if (body.totalBudget !== undefined) {
+    set["budget.total"] = parseAmount(body.totalBudget, "totalBudget", errors)
+  }
+  if (body.creatorBudget !== undefined) {
+    set["budget.perCreator"] = parseAmount(
+      body.creatorBudget,
+      "creatorBudget",
+      errors
+    )
+  }
+  if (errors.length) return { errors, set: {} }
+
+  const pick = (key, fallback) => (key in set ? set[key] : fallback)
+  const startsAt = pick("startsAt", current.startsAt)
+  const endsAt = pick("endsAt", current.endsAt)
+  const total = pick("budget.total", current.budget?.total)
+  const perCreator = pick("budget.perCreator", current.budget?.perCreator)
+
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    errors.push("endsAt must be after startsAt")
+  }
+  if (total != null && perCreator != null && perCreator > total) {
+    errors.push("creatorBudget cannot be more than totalBudget")
+  }
+
+  return { errors, set: errors.length ? {} : set }
+}
+
+// ==================== TARGETING ====================
+
+const MAX_TARGETING_ITEMS = 50
+
+// Validate a full targeting object. Genres and tones are normalized through
+// the taxonomy. Returns { errors, targeting }.
+const parseTargeting = (input) => {
+  const errors = []
+  const targeting = {}
+
+  if (input === null || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ["targeting must be an object"], targeting }
+  }
+
+  const known = [
+    "genres",
+    "blockedGenres",
+    "excludedTones",
+    "minDurationSeconds",
+    "allowedCreatorIds",
+    "blockedCreatorIds",
+    "minScore",
+  ]
+  for (const field of Object.keys(input)) {
+    if (!known.includes(field))
+      errors.push(`targeting.${field} is not supported`)
+  }
+
+  const listOf = (field, toValue, description) => {
+    const value = input[field] ?? []
+    if (!Array.isArray(value) || value.length > MAX_TARGETING_ITEMS) {
+      errors.push(
+        `targeting.${field} must be an array of at most ${MAX_TARGETING_ITEMS} ${description}`
+      )
+      return []
+    }
+    const values = []
+    for (const item of value) {
+      const converted = toValue(item)
+      if (converted) {
+        values.push(converted)
+      } else {
+        errors.push(`targeting.${field} has an invalid value: ${item}`)
+      }
+    }
+    return [...new Set(values)]
+  }
+  const objectId = (value) =>
+    mongoose.isValidObjectId(value) ? String(value) : null
+
+  targeting.genres = listOf(
+    "genres",
+    (value) => normalizeTerm("genres", value),
+    "genres"
+  )
+  targeting.blockedGenres = listOf(
+    "blockedGenres",
+    (value) => normalizeTerm("genres", value),
+    "genres"
+  )
+  targeting.excludedTones = listOf(
+    "excludedTones",
+    (value) => normalizeTerm("tones", value),
+    "tones"
+  )
+  targeting.allowedCreatorIds = listOf("allowedCreatorIds", objectId, "ids")
+  targeting.blockedCreatorIds = listOf("blockedCreatorIds", objectId, "ids")
+
+  const { minDurationSeconds = null, minScore = null } = input
+  if (
+    minDurationSeconds !== null &&
+    !(typeof minDurationSeconds === "number" && minDurationSeconds >= 0)
+  ) {
+    errors.push("targeting.minDurationSeconds must be a number of seconds")
+  }
+  if (
+    minScore !== null &&
+    !(Number.isInteger(minScore) && minScore >= 0 && minScore <= 100)
+  ) {
+    errors.push("targeting.minScore must be a whole number between 0 and 100")
+  }
+  targeting.minDurationSeconds = minDurationSeconds
+  targeting.minScore = minScore
+
+  return { errors, targeting }
+}
+
+// Why a video can never match this campaign, checked before any AI call.
+// Returns { code, reason } or null. A genre rule also covers sub-genres.
+const targetingExclusion = (campaign, video) => {
+  const targeting = campaign.targeting || {}
+  const genreChain = ancestorsOf("genres", video.genre)
+  const creatorId = (video.creatorId?._id || video.creatorId).toString()
+  const includesId = (ids, id) => (ids || []).some((i) => i.toString() === id)
+
+  if (
+    targeting.genres?.length &&
+    !genreChain.some((genre) => targeting.genres.includes(genre))
+  ) {
+    return {
+      code: "genre_not_allowed",
+      reason: `Genre ${video.genre} is not one of ${targeting.genres.join(
+        ", "
+      )}`,
+    }
+  }
+  const blocked = genreChain.find((genre) =>
+    (targeting.blockedGenres || []).includes(genre)
+  )
+  if (blocked) {
+    return { code: "genre_blocked", reason: `Genre ${blocked} is blocked` }
+  }
+  if ((targeting.excludedTones || []).includes(video.tone)) {
+    return { code: "tone_excluded", reason: `Tone ${video.tone} is excluded` }
+  }
+  if (targeting.minDurationSeconds != null) {
+    const duration = video.media?.durationSeconds
+    if (duration == null) {
+      return {
+        code: "duration_unknown",
+        reason: "Video duration is unknown",
+      }
+    }
+    if (duration < targeting.minDurationSeconds) {
+      return {
+        code: "duration_too_short",
+        reason: `Video is ${Math.round(duration)}s, minimum is ${
+          targeting.minDurationSeconds
+        }s`,
+      }
+    }
+  }
+  if (
+    targeting.allowedCreatorIds?.length &&
+    !includesId(targeting.allowedCreatorIds, creatorId)
+  ) {
+    return {
+      code: "creator_not_allowed",
+      reason: "Creator is not on the campaign's allow list",
+    }
+  }
+  if (includesId(targeting.blockedCreatorIds, creatorId)) {
+    return {
+      code: "creator_blocked",
+      reason: "Creator is on the campaign's block list",
+    }
+  }
+  return null
+}
+
+// Exclusion for an AI score under the campaign's minimum, or null
+const scoreExclusion = (campaign, score) => {
+  const minScore = campaign.targeting?.minScore
+  if (minScore == null || score >= minScore) return null
+  return {
+    code: "score_below_minimum",
+    reason: `Score ${score} is below the minimum of ${minScore}`,
+  }
+}
+
+// Query filter for campaigns that can be matched right now: active and
+// inside their schedule. Missing dates mean "no limit".
+const eligibleCampaignFilter = (now = new Date()) => ({
+  status: "active",
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+  ],
+})
+
+// Why a loaded campaign cannot be matched, or null when it can
+const campaignIneligibility = (campaign, now = new Date()) => {
+  if (campaign.status !== "active") {
+    return `Campaign is ${campaign.status}`
+  }
+  if (campaign.startsAt && campaign.startsAt > now) {
+    return "Campaign has not started yet"
+  }
+  if (campaign.endsAt && campaign.endsAt <= now) {
+    return "Campaign has ended"
+  }
+  return null
+}
+
+// Complete active and paused campaigns whose end date has passed
+const completeExpiredCampaigns = async (now = new Date()) => {
+  const expired = await Campaign.find({
+    status: { $in: ["active", "paused"] },
+    endsAt: { $lte: now },
+  })
+
+  let completedCount = 0
+  for (const campaign of expired) {
+    // Skip campaigns whose status changed since they were read
+    const completed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: campaign.status },
+      { status: "completed", completedAt: now },
+      { new: true }
+    )
+    if (!completed) continue
+    completedCount++
+
+    await recordSystemAudit({
+      action: "campaign.auto_complete",
+      targetType: "Campaign",
+      before: campaign,
+      after: completed,
+    })
+  }
+
+  if (completedCount) {
+    console.log(`✅ Completed ${completedCount} expired campaign(s)`)
+  }
+  return completedCount
+}
+
+const startCampaignScheduler = (intervalMs = 15 * 60 * 1000) => {
+  const run = () =>
+    completeExpiredCampaigns().catch((error) =>
+      console.log("❌ Campaign auto-complete failed:", error.message)
+    )
+  run()
+  const timer = setInterval(run, intervalMs)
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_TRANSITIONS,
+  MAX_CAMPAIGN_ASSETS,
+  canTransition,
+  parseAmount,
+  parseCampaignTerms,
+  parseTargeting,
+  targetingExclusion,
+  scoreExclusion,
+  eligibleCampaignFilter,
+  campaignIneligibility,
+  completeExpiredCampaigns,
+  startCampaignScheduler,
+}
@@ -0,0 +1,218 @@
+const { Collaboration } = require("./models")
+const { recordSystemAudit } = require("./audit")
+const mailer = require("./mailer")
+const { isPlainObject, string, requiredString } = require("./validators")
+
+// Milestone types and the side responsible for each. Only that side can
+// change a milestone's status.
+const MILESTONE_TYPES = {
+  draft_due: { owner: "creator", label: "Draft due" },
+  revision: { owner: "creator", label: "Revisions due" },
+  publish: { owner: "creator", label: "Publish" },
+  payment_release: { owner: "marketer", label: "Payment release" },
+}
+
+const MILESTONE_STATUSES = ["pending", "in_progress", "done"]
+
+const MAX_MILESTONES = 20
+const MAX_COLLABORATION_DELIVERABLES = 20
+
+const parseDueAt = (value, field, errors) => {
+  const date = typeof value === "string" ? new Date(value) : null
+  if (!date || isNaN(date)) {
+    errors.push(`${field} must be a valid date`)
+    return undefined
+  }
+  return date
+}
+
+// Validate the deliverables and milestones a collaboration starts with.
+// Returns { errors, deliverables, milestones }.
+const parseCollaborationPlan = (body) => {
+  const errors = []
+  const deliverables = []
+  const milestones = []
+
+  const { deliverables: deliverableInput = [], milestones: milestoneInput } =
+    body
+
+  if (
+    !Array.isArray(deliverableInput) ||
+    deliverableInput.length > MAX_COLLABORATION_DELIVERABLES
+  ) {
+    errors.push(
+      `deliverables must be an array of at most ${MAX_COLLABORATION_DELIVERABLES} items`
+    )
+  } else {
+    deliverableInput.forEach((item, i) => {
+      const field = `deliverables[${i}]`
+      if (!isPlainObject(item)) {
+        errors.push(`${field} must be an object`)
+        return
+      }
+      const problem =
+        requiredString(200)(item.title, `${field}.title`) ||
+        (item.description !== undefined &&
+          string(2000)(item.description, `${field}.description`))
+      if (problem) errors.push(problem)
+      const dueAt =
+        item.dueAt === undefined || item.dueAt === null
+          ? null
+          : parseDueAt(item.dueAt, `${field}.dueAt`, errors)
+      deliverables.push({
+        title: item.title?.trim?.(),
+        description: item.description?.trim?.(),
+        dueAt,
+      })
+    })
+  }
+
+  if (
+    !Array.isArray(milestoneInput) ||
+    !milestoneInput.length ||
+    milestoneInput.length > MAX_MILESTONES
+  ) {
+    errors.push(`milestones must be an array of 1-${MAX_MILESTONES} items`)
+  } else {
+    milestoneInput.forEach((item, i) => {
+      const field = `milestones[${i}]`
+      if (!isPlainObject(item)) {
+        errors.push(`${field} must be an object`)
+        return
+      }
+      const type = MILESTONE_TYPES[item.type]
+      if (!type) {
+        errors.push(
+          `${field}.type must be one of: ${Object.keys(MILESTONE_TYPES).join(
+            ", "
+          )}`
+        )
+        return
+      }
+      if (item.title !== undefined) {
+        const problem = requiredString(200)(item.title, `${field}.title`)
+        if (problem) errors.push(problem)
+      }
+      milestones.push({
+        type: item.type,
+        title: item.title?.trim?.() || type.label,
+        owner: type.owner,
+        dueAt: parseDueAt(item.dueAt, `${field}.dueAt`, errors),
+      })
+    })
+  }
+
+  return { errors, deliverables, milestones }
+}
+
+const isMilestoneOverdue = (milestone, now = new Date()) =>
+  milestone.status !== "done" && milestone.dueAt < now
+
+// Query filter for active collaborations with at least one late milestone
+const overdueCollaborationFilter = (now = new Date()) => ({
+  status: "active",
+  milestones: {
+    $elemMatch: { status: { $ne: "done" }, dueAt: { $lt: now } },
+  },
+})
+
+// Flag milestones that have just become overdue and tell the side that
+// owns them. Each milestone is flagged once, until its due date moves.
+const markOverdueMilestones = async (now = new Date()) => {
+  const collaborations = await Collaboration.find({
+    status: "active",
+    milestones: {
+      $elemMatch: {
+        status: { $ne: "done" },
+        dueAt: { $lt: now },
+        overdueSince: null,
+      },
+    },
+  })
+    .populate("creatorId", "name email")
+    .populate({
+      path: "campaignId",
+      select: "productName marketerId",
+      populate: { path: "marketerId", select: "name email" },
+    })
+
+  let flaggedCount = 0
+  for (const collaboration of collaborations) {
+    for (const milestone of collaboration.milestones) {
+      if (!isMilestoneOverdue(milestone, now) || milestone.overdueSince) {
+        continue
+      }
+
+      // Skip milestones that changed since they were read
+      const { modifiedCount } = await Collaboration.updateOne(
+        {
+          _id: collaboration._id,
+          milestones: {
+            $elemMatch: {
+              _id: milestone._id,
+              status: { $ne: "done" },
+              dueAt: milestone.dueAt,
+              overdueSince: null,
+            },
+          },
+        },
+        { $set: { "milestones.$.overdueSince": now } }
+      )
+      if (!modifiedCount) continue
+      flaggedCount++
+
+      await recordSystemAudit({
+        action: "collaboration.milestone_overdue",
+        targetType: "Collaboration",
+        targetId: collaboration._id,
+        metadata: {
+          milestoneId: milestone._id,
+          type: milestone.type,
+          dueAt: milestone.dueAt,
+        },
+      })
+
+      const recipient =
+        milestone.owner === "creator"
+          ? collaboration.creatorId
+          : collaboration.campaignId?.marketerId
+      if (recipient?.email) {
+        await mailer
+          .sendMilestoneOverdue(
+            recipient,
+            collaboration,
+            collaboration.campaignId,
+            milestone
+          )
+          .catch(() => {})
+      }
+    }
+  }
+
+  if (flaggedCount) {
+    console.log(`✅ Flagged ${flaggedCount} overdue milestone(s)`)
+  }
+  return flaggedCount
+}
+
+const startCollaborationScheduler = (intervalMs = 15 * 60 * 1000) => {
+  const run = () =>
+    markOverdueMilestones().catch((error) =>
+      console.log("❌ Overdue milestone check failed:", error.message)
+    )
+  run()
+  const timer = setInterval(run, intervalMs)
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  MILESTONE_TYPES,
+  MILESTONE_STATUSES,
+  parseCollaborationPlan,
+  parseDueAt,
+  isMilestoneOverdue,
+  overdueCollaborationFilter,
+  markOverdueMilestones,
+  startCollaborationScheduler,
+}
@@ -1,4 +1,25 @@
 const { GoogleGenAI } = require("@google/genai")
+const { normalizeTerm, ancestorsOf } = require("./taxonomy")
+
+// Short human-readable summary of probed video metadata,
+// e.g. "1920x1080, 0:32, 30 fps, h264/aac"
+const describeMedia = (media) => {
+  if (!media?.durationSeconds && !media?.height) return null
+
+  const parts = []
+  if (media.width && media.height) parts.push(`${media.width}x${media.height}`)
+  if (media.durationSeconds) {
+    const total = Math.round(media.durationSeconds)
+    parts.push(
+      `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`
+    )
+  }
+  if (media.frameRate) parts.push(`${Math.round(media.frameRate)} fps`)
+  if (media.videoCodec) {
+    parts.push([media.videoCodec, media.audioCodec].filter(Boolean).join("/"))
+  }
+  return parts.join(", ")
+}
 
 class GeminiService {
   constructor() {
@@ -33,6 +54,7 @@ class GeminiService {
         title: videoData.title,
         genre: videoData.genre,
         tone: videoData.tone,
+        media: describeMedia(videoData.media),
       })
       console.log("📢 Campaign Data:", {
         productName: campaignData.productName,
@@ -46,6 +68,7 @@ class GeminiService {
         - Title: ${videoData.title}
         - Genre: ${videoData.genre}
         - Tone: ${videoData.tone}
+        - Format: ${describeMedia(videoData.media) || "unknown"}
         
         CAMPAIGN:
         - Product: ${campaignData.productName}
@@ -57,6 +80,7 @@ class GeminiService {
         - Tone matching with brand image
         - Target audience compatibility
         - Creative synergy potential
+        - Whether the video length and format suit the product
         
         Return ONLY a JSON object with this exact format:
         {
@@ -119,7 +143,10 @@ class GeminiService {
         Available Videos:
         ${videoData
           .map(
-            (v) => `- "${v.title}" (${v.genre}, ${v.tone}) by ${v.creatorName}`
+            (v) =>
+              `- "${v.title}" (${[v.genre, v.tone, describeMedia(v.media)]
+                .filter(Boolean)
+                .join(", ")}) by ${v.creatorName}`
           )
           .join("\n")}
         
@@ -160,16 +187,29 @@ class GeminiService {
       entertainment: { gaming: 20, music: 15, sports: 10 },
     }
 
-    const bonus =
-      genreBonus[videoData.genre.toLowerCase()]?.[
-        campaignData.category.toLowerCase()
-      ] || 0
+    // Walk up both hierarchies, so a "food" video (under lifestyle) and a
+    // "finance" campaign (under business) still find their bonuses
+    const genres = ancestorsOf(
+      "genres",
+      normalizeTerm("genres", videoData.genre)
+    )
+    const categories = ancestorsOf(
+      "categories",
+      normalizeTerm("categories", campaignData.category)
+    )
+
+    const bonus = Math.max(
+      0,
+      ...genres.flatMap((genre) =>
+        categories.map((category) => genreBonus[genre]?.[category] || 0)
+      )
+    )
     score += bonus
 
     // Tone matching
     if (
-      videoData.tone.toLowerCase().includes("professional") &&
-      campaignData.category.toLowerCase().includes("business")
+      normalizeTerm("tones", videoData.tone) === "professional" &&
+      categories.includes("business")
     ) {
       score += 10
     }
@@ -0,0 +1,401 @@
+const mongoose = require("mongoose")
+const { LedgerAccount, LedgerTransaction } = require("./models")
+
+// Double-entry ledger. Every transaction debits and credits accounts by the
+// same total; account balances are credits minus debits in minor units.
+// Money enters through the provider account (deposits) and leaves through
+// it (payouts), so the provider balance is minus what the platform holds.
+
+const PLATFORM_FEE_PERCENT = parseFloat(
+  process.env.PLATFORM_FEE_PERCENT || "10"
+)
+
+const toMinor = (amount) => Math.round(amount * 100)
+const toMajor = (minor) => minor / 100
+
+const accounts = {
+  marketer: (userId, currency) => ({
+    key: `marketer:${userId}:${currency}`,
+    kind: "marketer",
+    currency,
+    userId,
+  }),
+  creator: (userId, currency) => ({
+    key: `creator:${userId}:${currency}`,
+    kind: "creator",
+    currency,
+    userId,
+  }),
+  // Funded by one marketer for one match, paid out to its creator
+  escrow: (matchId, funderId, creatorId, currency) => ({
+    key: `escrow:${matchId}:${currency}`,
+    kind: "escrow",
+    currency,
+    userId: funderId,
+    matchId,
+    creatorId,
+  }),
+  platform: (currency) => ({
+    key: `platform:fees:${currency}`,
+    kind: "platform",
+    currency,
+  }),
+  provider: (name, currency) => ({
+    key: `provider:${name}:${currency}`,
+    kind: "provider",
+    currency,
+  }),
+}
+
+const ensureAccount = async (account) => {
+  try {
+    await LedgerAccount.updateOne(
+      { key: account.key },
+      { $setOnInsert: account },
+      { upsert: true }
+    )
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) throw error
+  }
+}
+
+// Record a balanced transaction and move the account balances, all in one
+// MongoDB transaction so the books never hold half of it. Debits only go
+// through while the account covers them (the provider account excepted);
+// resolves to null when one does not. A known idempotency key resolves to
+// the transaction first recorded under it. `within(session)` runs inside
+// the same MongoDB transaction; returning false cancels the posting.
+const postTransaction = async ({ legs, ...fields }, within = null) => {
+  if (fields.idempotencyKey) {
+    const existing = await LedgerTransaction.findOne({
+      idempotencyKey: fields.idempotencyKey,
+    })
+    if (existing) return existing
+  }
+
+  const record = {
+    ...fields,
+    amount: legs
+      .filter((leg) => leg.direction === "debit")
+      .reduce((sum, leg) => sum + leg.amount, 0),
+    entries: legs.map((leg) => ({
+      account: leg.account.key,
+      direction: leg.direction,
+      amount: leg.amount,
+    })),
+  }
+  await new LedgerTransaction(record).validate()
+
+  // Upserts cannot share a transaction with a racing insert, so the
+  // (empty) accounts are created up front
+  for (const leg of legs) await ensureAccount(leg.account)
+
+  // Debits first, so a short balance is found before anything is credited
+  const ordered = [
+    ...legs.filter((leg) => leg.direction === "debit"),
+    ...legs.filter((leg) => leg.direction === "credit"),
+  ]
+
+  const session = await mongoose.startSession()
+  try {
+    let posted = null
+    // Retried as a whole on transient errors such as write conflicts
+    await session.withTransaction(async () => {
+      posted = null
+      for (const leg of ordered) {
+        const delta = leg.direction === "credit" ? leg.amount : -leg.amount
+        const guard =
+          delta < 0 && leg.account.kind !== "provider"
+            ? { balance: { $gte: -delta } }
+            : {}
+        const { modifiedCount } = await LedgerAccount.updateOne(
+          { key: leg.account.key, ...guard },
+          { $inc: { balance: delta } },
+          { session }
+        )
+        if (!modifiedCount) return session.abortTransaction()
+      }
+      if (within && (await within(session)) === false) {
+        return session.abortTransaction()
+      }
+      const [created] = await LedgerTransaction.create([record], { session })
+      posted = created
+    })
+    return posted
+  } catch (error) {
+    if (error.code === 11000 && fields.idempotencyKey) {
+      return LedgerTransaction.findOne({
+        idempotencyKey: fields.idempotencyKey,
+      })
+    }
+    throw error
+  } finally {
+    await session.endSession()
+  }
+}
+
+// Money charged by the provider lands in the marketer's wallet
+const recordDeposit = ({ user, amount, currency, provider, reference, key }) =>
+  postTransaction({
+    type: "deposit",
+    currency,
+    legs: [
+      {
+        account: accounts.provider(provider, currency),
+        direction: "debit",
+        amount,
+      },
+      {
+        account: accounts.marketer(user._id, currency),
+        direction: "credit",
+        amount,
+      },
+    ],
+    parties: [user._id],
+    provider,
+    providerReference: reference,
+    idempotencyKey: key,
+    createdBy: user._id,
+  })
+
+// Move the creator's money out to the provider, pending until the provider
+// confirms it. Resolves to null when the wallet is short.
+const recordPayout = ({ user, amount, currency, provider, key }) =>
+  postTransaction({
+    type: "payout",
+    currency,
+    legs: [
+      {
+        account: accounts.creator(user._id, currency),
+        direction: "debit",
+        amount,
+      },
+      {
+        account: accounts.provider(provider, currency),
+        direction: "credit",
+        amount,
+      },
+    ],
+    parties: [user._id],
+    provider,
+    status: "pending",
+    idempotencyKey: key,
+    createdBy: user._id,
+  })
+
+// Mark a pending payout as sent. Resolves to the updated payout, or null
+// when it is no longer pending.
+const markPayoutPaid = (payout, reference) =>
+  LedgerTransaction.findOneAndUpdate(
+    { _id: payout._id, status: "pending" },
+    { status: "paid", providerReference: reference },
+    { new: true }
+  )
+
+// Give back a payout the provider declined. Only a pending payout can be
+// reversed; resolves to null otherwise.
+const reversePayout = (payout) =>
+  postTransaction(
+    {
+      type: "payout_reversal",
+      currency: payout.currency,
+      legs: [
+        {
+          account: accounts.provider(payout.provider, payout.currency),
+          direction: "debit",
+          amount: payout.amount,
+        },
+        {
+          account: accounts.creator(payout.createdBy, payout.currency),
+          direction: "credit",
+          amount: payout.amount,
+        },
+      ],
+      parties: payout.parties,
+      provider: payout.provider,
+      idempotencyKey: `payout_reversal:${payout._id}`,
+      createdBy: payout.createdBy,
+    },
+    async (session) => {
+      const { modifiedCount } = await LedgerTransaction.updateOne(
+        { _id: payout._id, status: "pending" },
+        { status: "reversed" },
+        { session }
+      )
+      return modifiedCount > 0
+    }
+  )
+
+// Hold a match's agreed fee, from the marketer's wallet, until the match is
+// completed. Resolves to null when the wallet is short.
+const holdEscrow = (match, creatorId, user) => {
+  const { currency } = match.agreedTerms
+  const amount = toMinor(match.agreedTerms.amount)
+  return postTransaction({
+    type: "escrow_hold",
+    currency,
+    legs: [
+      {
+        account: accounts.marketer(user._id, currency),
+        direction: "debit",
+        amount,
+      },
+      {
+        account: accounts.escrow(match._id, user._id, creatorId, currency),
+        direction: "credit",
+        amount,
+      },
+    ],
+    parties: [user._id, creatorId],
+    matchId: match._id,
+    idempotencyKey: `escrow_hold:${match._id}`,
+    createdBy: user._id,
+  })
+}
+
+const escrowAccountFor = (matchId) =>
+  LedgerAccount.findOne({ kind: "escrow", matchId })
+
+// Plain descriptor of a stored escrow account, for use in ledger legs
+const escrowDescriptor = (escrow) =>
+  accounts.escrow(
+    escrow.matchId,
+    escrow.userId,
+    escrow.creatorId,
+    escrow.currency
+  )
+
+// Pay a completed match's escrow to the creator, less the platform fee.
+// Safe to retry. Resolves to the release transaction, or null when nothing
+// is held.
+const releaseEscrow = async (matchId, actorId = null) => {
+  const escrow = await escrowAccountFor(matchId)
+  const hold = await LedgerTransaction.findOne({
+    matchId,
+    type: "escrow_hold",
+  })
+  if (!escrow || !hold) return null
+
+  const { currency } = escrow
+  const escrowAccount = escrowDescriptor(escrow)
+  const fee = Math.round((hold.amount * PLATFORM_FEE_PERCENT) / 100)
+  const parties = [escrow.userId, escrow.creatorId]
+
+  if (fee > 0) {
+    const charged = await postTransaction({
+      type: "platform_fee",
+      currency,
+      legs: [
+        { account: escrowAccount, direction: "debit", amount: fee },
+        {
+          account: accounts.platform(currency),
+          direction: "credit",
+          amount: fee,
+        },
+      ],
+      parties,
+      matchId,
+      idempotencyKey: `platform_fee:${matchId}`,
+      memo: `${PLATFORM_FEE_PERCENT}% platform fee`,
+      createdBy: actorId,
+    })
+    if (!charged) return null
+  }
+
+  return postTransaction({
+    type: "escrow_release",
+    currency,
+    legs: [
+      {
+        account: escrowAccount,
+        direction: "debit",
+        amount: hold.amount - fee,
+      },
+      {
+        account: accounts.creator(escrow.creatorId, currency),
+        direction: "credit",
+        amount: hold.amount - fee,
+      },
+    ],
+    parties,
+    matchId,
+    idempotencyKey: `escrow_release:${matchId}`,
+    createdBy: actorId,
+  })
+}
+
+// Return whatever a match's escrow still holds to the marketer who funded
+// it. Resolves to null when nothing is held.
+const refundEscrow = async (matchId, actorId = null) => {
+  const escrow = await escrowAccountFor(matchId)
+  if (!escrow || escrow.balance <= 0) return null
+
+  return postTransaction({
+    type: "refund",
+    currency: escrow.currency,
+    legs: [
+      {
+        account: escrowDescriptor(escrow),
+        direction: "debit",
+        amount: escrow.balance,
+      },
+      {
+        account: accounts.marketer(escrow.userId, escrow.currency),
+        direction: "credit",
+        amount: escrow.balance,
+      },
+    ],
+    parties: [escrow.userId, escrow.creatorId],
+    matchId,
+    idempotencyKey: `refund:${matchId}`,
+    createdBy: actorId,
+  })
+}
+
+// Wallet and escrow totals per currency, in major units. Marketers see the
+// escrow they funded, creators the escrow waiting for them.
+const balancesFor = async (user) => {
+  const wallets = await LedgerAccount.find({
+    kind: user.role,
+    userId: user._id,
+  })
+  const escrows = await LedgerAccount.find({
+    kind: "escrow",
+    [user.role === "creator" ? "creatorId" : "userId"]: user._id,
+    balance: { $gt: 0 },
+  })
+
+  const byCurrency = {}
+  const entry = (currency) => {
+    if (!byCurrency[currency]) {
+      byCurrency[currency] = { currency, available: 0, inEscrow: 0 }
+    }
+    return byCurrency[currency]
+  }
+  for (const wallet of wallets)
+    entry(wallet.currency).available += wallet.balance
+  for (const escrow of escrows)
+    entry(escrow.currency).inEscrow += escrow.balance
+
+  return Object.values(byCurrency).map((balance) => ({
+    currency: balance.currency,
+    available: toMajor(balance.available),
+    inEscrow: toMajor(balance.inEscrow),
+  }))
+}
+
+module.exports = {
+  PLATFORM_FEE_PERCENT,
+  toMinor,
+  toMajor,
+  recordDeposit,
+  recordPayout,
+  markPayoutPaid,
+  reversePayout,
+  holdEscrow,
+  escrowAccountFor,
+  releaseEscrow,
+  refundEscrow,
+  balancesFor,
+}
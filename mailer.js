@@ -0,0 +1,136 @@
+const fs = require("fs")
+const path = require("path")
+const nodemailer = require("nodemailer")
+
+// ==================== TRANSPORTS ====================
+// Every transport exposes send({ to, subject, text, html })
+
+class SmtpTransport {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587", 10),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    })
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message)
+    return { id: info.messageId }
+  }
+}
+
+// Writes each message as JSON so local tooling and tests can read it back
+class FileTransport {
+  constructor() {
+    this.dir = process.env.MAIL_OUTPUT_DIR || "mail-outbox"
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true })
+    }
+  }
+
+  async send(message) {
+    const id = `mail-${Date.now()}-${Math.round(Math.random() * 1e9)}`
+    await fs.promises.writeFile(
+      path.join(this.dir, `${id}.json`),
+      JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2)
+    )
+    return { id }
+  }
+}
+
+class ConsoleTransport {
+  async send(message) {
+    console.log("📧 Mail to:", message.to)
+    console.log("📧 Subject:", message.subject)
+    console.log(message.text)
+    return { id: `console-${Date.now()}` }
+  }
+}
+
+const transports = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  console: ConsoleTransport,
+}
+
+// ==================== MAILER ====================
+
+class Mailer {
+  constructor() {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "console")
+
+    const Transport = transports[name]
+    if (!Transport) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`)
+    }
+
+    this.transportName = name
+    this.transport = new Transport()
+    this.from = process.env.MAIL_FROM || "AdVenture <no-reply@adventure.local>"
+    this.appUrl = process.env.APP_URL || "http://localhost:3000"
+  }
+
+  async send({ to, subject, text, html }) {
+    try {
+      const result = await this.transport.send({
+        from: this.from,
+        to,
+        subject,
+        text,
+        html: html || text.replace(/\n/g, "<br>"),
+      })
+      console.log(`✅ Mail sent via ${this.transportName}:`, subject)
+      return result
+    } catch (error) {
+      console.log("❌ Mail delivery failed:", error.message)
+      throw error
+    }
+  }
+
+  sendVerificationEmail(user, token) {
+    const link = `${this.appUrl}/verify-email?token=${token}`
+    return this.send({
+      to: user.email,
+      subject: "Verify your AdVenture email address",
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in 24 hours.`,
+    })
+  }
+
+  sendPasswordResetEmail(user, token) {
+    const link = `${this.appUrl}/reset-password?token=${token}`
+    return this.send({
+      to: user.email,
+      subject: "Reset your AdVenture password",
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in 1 hour. If you did not request a reset, you can ignore this email.`,
+    })
+  }
+
+  sendOrganizationInvitation(email, organization, inviter, token) {
+    const link = `${this.appUrl}/join-organization?token=${token}`
+    return this.send({
+      to: email,
+      subject: `Join ${organization.name} on AdVenture`,
+      text: `Hi,\n\n${inviter.name} invited you to join ${organization.name} on AdVenture. Open the link below to accept:\n\n${link}\n\nThis invitation expires in 7 days.`,
+    })
+  }
+
+  sendMilestoneOverdue(user, collaboration, campaign, milestone) {
+    const link = `${this.appUrl}/collaborations/${collaboration._id}`
+    const product = campaign?.productName || "your collaboration"
+    return this.send({
+      to: user.email,
+      subject: `Overdue: ${milestone.title} for ${product}`,
+      text: `Hi ${user.name},\n\n"${
+        milestone.title
+      }" for ${product} was due on ${milestone.dueAt.toDateString()} and is not done yet. Open the collaboration to update it:\n\n${link}`,
+    })
+  }
+}
+
+module.exports = new Mailer()
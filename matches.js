@@ -0,0 +1,128 @@
+const { Match, Video } = require("./models")
+
+// Allowed status changes and the side of the match that may make each one.
+// AI scoring creates matches as "proposed"; the marketer shortlists, the
+// creator accepts and the marketer confirms. Offers can also confirm a
+// match, see offers.js.
+const MATCH_TRANSITIONS = {
+  proposed: {
+    marketer_shortlisted: ["marketer"],
+    declined: ["marketer", "creator"],
+  },
+  marketer_shortlisted: {
+    creator_accepted: ["creator"],
+    declined: ["creator"],
+    withdrawn: ["marketer"],
+  },
+  creator_accepted: {
+    confirmed: ["marketer"],
+    declined: ["marketer"],
+    withdrawn: ["creator"],
+  },
+  confirmed: {
+    completed: ["marketer"],
+  },
+  declined: {},
+  withdrawn: {},
+  completed: {},
+}
+
+const MATCH_STATUSES = Object.keys(MATCH_TRANSITIONS)
+
+// Still waiting on one side or the other
+const OPEN_MATCH_STATUSES = [
+  "proposed",
+  "marketer_shortlisted",
+  "creator_accepted",
+]
+// Offers can be made between shortlisting and confirmation
+const NEGOTIATING_MATCH_STATUSES = ["marketer_shortlisted", "creator_accepted"]
+// Both sides agreed; kept on record when the video or campaign is deleted
+const AGREED_MATCH_STATUSES = ["confirmed", "completed"]
+
+// Why `side` ("creator" or "marketer") cannot move a match from `from` to
+// `to`, as { status, message } for the response, or null when it can
+const transitionError = (from, to, side) => {
+  const sides = MATCH_TRANSITIONS[from]?.[to]
+  if (!sides) {
+    const allowed = Object.keys(MATCH_TRANSITIONS[from] || {})
+    return {
+      status: 409,
+      message: allowed.length
+        ? `A ${from} match can only become ${allowed.join(" or ")}`
+        : `A ${from} match can no longer change`,
+    }
+  }
+  if (!sides.includes(side)) {
+    return {
+      status: 403,
+      message: `Only the ${sides.join(
+        " or "
+      )} can move a match from ${from} to ${to}`,
+    }
+  }
+  return null
+}
+
+// A video is "approved" once any of its matches is agreed, "matched" while
+// any is still open and "uploaded" otherwise
+const videoStatusFor = (matchStatuses) => {
+  if (matchStatuses.some((status) => AGREED_MATCH_STATUSES.includes(status))) {
+    return "approved"
+  }
+  if (matchStatuses.some((status) => OPEN_MATCH_STATUSES.includes(status))) {
+    return "matched"
+  }
+  return "uploaded"
+}
+
+// Recompute a video's status after its matches changed
+const refreshVideoStatus = async (videoId) => {
+  const statuses = await Match.find({ videoId }).distinct("status")
+  const status = videoStatusFor(statuses)
+  await Video.updateOne({ _id: videoId }, { status })
+  return status
+}
+
+// Match counts for a filter, with every status present
+const countMatchesByStatus = async (filter) => {
+  const counts = Object.fromEntries(MATCH_STATUSES.map((status) => [status, 0]))
+  const rows = await Match.aggregate([
+    { $match: filter },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ])
+  for (const row of rows) {
+    if (row._id in counts) counts[row._id] = row.count
+  }
+  return counts
+}
+
+// Total of the agreed fees on a campaign's matches. Confirmed matches that
+// were archived had their escrow refunded, so they no longer count.
+const committedBudget = async (campaignId) => {
+  const [row] = await Match.aggregate([
+    {
+      $match: {
+        campaignId,
+        agreedTerms: { $ne: null },
+        status: { $in: AGREED_MATCH_STATUSES },
+        $or: [{ archivedAt: null }, { status: "completed" }],
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$agreedTerms.amount" } } },
+  ])
+  return row ? row.total : 0
+}
+
+module.exports = {
+  MATCH_TRANSITIONS,
+  MATCH_STATUSES,
+  OPEN_MATCH_STATUSES,
+  NEGOTIATING_MATCH_STATUSES,
+  AGREED_MATCH_STATUSES,
+  transitionError,
+  videoStatusFor,
+  refreshVideoStatus,
+  countMatchesByStatus,
+  committedBudget,
+}
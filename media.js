@@ -0,0 +1,184 @@
+const crypto = require("crypto")
+const path = require("path")
+const { storage } = require("./storage")
+
+const MEDIA_URL_TTL_SECONDS = parseInt(
+  process.env.MEDIA_URL_TTL_SECONDS || "900",
+  10
+)
+
+// Storage key prefixes that can be served through signed URLs
+const MEDIA_KINDS = ["videos", "assets", "thumbnails", "deliverables"]
+
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+}
+
+const getSecret = () => process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET
+
+const sign = (kind, filename, userId, expires) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`${kind}/${filename}:${userId}:${expires}`)
+    .digest("base64url")
+
+// ==================== SIGNED URLS ====================
+
+// Build a URL that lets one user fetch one stored file until it expires
+const createSignedUrl = (kind, key, userId) => {
+  const filename = path.posix.basename(key)
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS
+  const sig = sign(kind, filename, userId.toString(), expires)
+
+  const query = new URLSearchParams({
+    uid: userId.toString(),
+    expires: String(expires),
+    sig,
+  })
+
+  return {
+    url: `/${kind}/${encodeURIComponent(filename)}?${query}`,
+    expiresAt: new Date(expires * 1000),
+  }
+}
+
+// Returns the signing user's id, or null if the signature is missing,
+// tampered with or expired
+const verifySignedUrl = (kind, filename, query) => {
+  const { uid, expires, sig } = query
+  if (!uid || !expires || !sig) return null
+
+  if (parseInt(expires, 10) < Math.floor(Date.now() / 1000)) return null
+
+  const expected = Buffer.from(sign(kind, filename, uid, expires))
+  const actual = Buffer.from(String(sig))
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null
+  }
+
+  return uid
+}
+
+// Storage key for a requested file name, refusing anything that could
+// escape its prefix
+const mediaKey = (kind, filename) => {
+  if (!MEDIA_KINDS.includes(kind)) return null
+  if (!filename || !/^[\w-][\w.-]*$/.test(filename)) return null
+  return `${kind}/${filename}`
+}
+
+// ==================== RANGE DELIVERY ====================
+
+// Parse a single "bytes=" range. Returns { start, end }, "unsatisfiable",
+// or null to serve the whole file (no header, or a form we do not support).
+const parseRange = (header, size) => {
+  if (!header) return null
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim())
+  if (!match) return null
+
+  const [, startText, endText] = match
+  let start
+  let end
+
+  if (startText === "" && endText === "") return null
+
+  if (startText === "") {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(endText, 10)
+    if (suffix === 0) return "unsatisfiable"
+    start = Math.max(size - suffix, 0)
+    end = size - 1
+  } else {
+    start = parseInt(startText, 10)
+    end = endText === "" ? size - 1 : Math.min(parseInt(endText, 10), size - 1)
+  }
+
+  if (start >= size || start > end) return "unsatisfiable"
+
+  return { start, end }
+}
+
+// Stream a stored file honouring Range, If-Range and HEAD so players can seek.
+// Resolves to false when the key does not exist.
+const sendMediaFile = async (req, res, key) => {
+  const stats = await storage.stat(key)
+  if (!stats) return false
+
+  const size = stats.size
+  const etag = stats.etag
+  const lastModified = new Date(stats.lastModified).toUTCString()
+
+  res.setHeader("Accept-Ranges", "bytes")
+  res.setHeader(
+    "Content-Type",
+    CONTENT_TYPES[path.posix.extname(key).toLowerCase()] ||
+      "application/octet-stream"
+  )
+  res.setHeader("ETag", etag)
+  res.setHeader("Last-Modified", lastModified)
+  res.setHeader("Cache-Control", "private, no-transform")
+
+  // A stale If-Range means the client's partial copy is outdated. If-Range
+  // needs a strong validator (RFC 7233), so with a weak ETag, which cannot
+  // tell a replaced file apart, any If-Range gets the whole file.
+  const ifRange = req.headers["if-range"]
+  const strong = Boolean(etag) && !etag.startsWith("W/")
+  const rangeHeader =
+    ifRange && !(strong && (ifRange === etag || ifRange === lastModified))
+      ? null
+      : req.headers.range
+  const range = parseRange(rangeHeader, size)
+
+  if (range === "unsatisfiable") {
+    res.setHeader("Content-Range", `bytes */${size}`)
+    res.status(416).end()
+    return true
+  }
+
+  const start = range ? range.start : 0
+  const end = range ? range.end : size - 1
+
+  if (range) {
+    res.status(206)
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`)
+  } else {
+    res.status(200)
+  }
+  res.setHeader("Content-Length", size === 0 ? 0 : end - start + 1)
+
+  if (req.method === "HEAD" || size === 0) {
+    res.end()
+    return true
+  }
+
+  const stream = await storage.openReadStream(key, { start, end })
+  stream.on("error", (error) => {
+    console.log("❌ Media stream failed:", error.message)
+    res.destroy(error)
+  })
+  req.on("close", () => stream.destroy())
+  stream.pipe(res)
+  return true
+}
+
+module.exports = {
+  createSignedUrl,
+  verifySignedUrl,
+  mediaKey,
+  parseRange,
+  sendMediaFile,
+}
@@ -0,0 +1,441 @@
+const fs = require("fs")
+const path = require("path")
+const { spawn } = require("child_process")
+
+// Largest moov box / WebM header region we are willing to buffer
+const MAX_HEADER_BYTES = 64 * 1024 * 1024
+const WEBM_SCAN_BYTES = 8 * 1024 * 1024
+
+const CODEC_NAMES = {
+  avc1: "h264",
+  avc3: "h264",
+  hvc1: "hevc",
+  hev1: "hevc",
+  av01: "av1",
+  vp08: "vp8",
+  vp09: "vp9",
+  mp4v: "mpeg4",
+  mp4a: "aac",
+  Opus: "opus",
+  "ac-3": "ac3",
+  "ec-3": "eac3",
+  V_VP8: "vp8",
+  V_VP9: "vp9",
+  V_AV1: "av1",
+  "V_MPEG4/ISO/AVC": "h264",
+  "V_MPEGH/ISO/HEVC": "hevc",
+  A_OPUS: "opus",
+  A_VORBIS: "vorbis",
+  A_AAC: "aac",
+}
+
+const round = (value, digits = 3) =>
+  Number.isFinite(value) ? Number(value.toFixed(digits)) : undefined
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length)
+  const { bytesRead } = await handle.read(buffer, 0, length, position)
+  return buffer.subarray(0, bytesRead)
+}
+
+// ==================== MP4 / MOV (ISO BMFF) ====================
+
+// Iterate the boxes inside buffer[start, end)
+function* boxes(buffer, start = 0, end = buffer.length) {
+  let offset = start
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset)
+    const type = buffer.toString("latin1", offset + 4, offset + 8)
+    let headerSize = 8
+
+    if (size === 1) {
+      if (offset + 16 > end) return
+      size = Number(buffer.readBigUInt64BE(offset + 8))
+      headerSize = 16
+    } else if (size === 0) {
+      size = end - offset
+    }
+    if (size < headerSize || offset + size > end) return
+
+    yield { type, start: offset + headerSize, end: offset + size }
+    offset += size
+  }
+}
+
+const findBox = (buffer, parent, type) => {
+  for (const box of boxes(buffer, parent.start, parent.end)) {
+    if (box.type === type) return box
+  }
+  return null
+}
+
+// Walk a path of nested box types, e.g. ["mdia", "minf", "stbl"]
+const findPath = (buffer, parent, types) =>
+  types.reduce((box, type) => box && findBox(buffer, box, type), parent)
+
+// mvhd and mdhd share the layout we need: timescale then duration
+const readHeaderDuration = (buffer, box) => {
+  const version = buffer.readUInt8(box.start)
+  return version === 1
+    ? {
+        timescale: buffer.readUInt32BE(box.start + 20),
+        duration: Number(buffer.readBigUInt64BE(box.start + 24)),
+      }
+    : {
+        timescale: buffer.readUInt32BE(box.start + 12),
+        duration: buffer.readUInt32BE(box.start + 16),
+      }
+}
+
+const parseTrack = (buffer, trak) => {
+  const mdia = findBox(buffer, trak, "mdia")
+  const hdlr = mdia && findBox(buffer, mdia, "hdlr")
+  const mdhd = mdia && findBox(buffer, mdia, "mdhd")
+  const stbl = mdia && findPath(buffer, mdia, ["minf", "stbl"])
+  if (!hdlr || !stbl) return null
+
+  const handler = buffer.toString("latin1", hdlr.start + 8, hdlr.start + 12)
+  const stsd = findBox(buffer, stbl, "stsd")
+  // First sample entry: 4 bytes version/flags, 4 bytes count, then the entry
+  const codec =
+    stsd && stsd.end - stsd.start >= 16
+      ? buffer.toString("latin1", stsd.start + 12, stsd.start + 16)
+      : undefined
+
+  const track = { handler, codec }
+
+  if (handler === "vide") {
+    const tkhd = findBox(buffer, trak, "tkhd")
+    if (tkhd) {
+      // Width and height are 16.16 fixed point at the end of tkhd
+      track.width = buffer.readUInt32BE(tkhd.end - 8) >>> 16
+      track.height = buffer.readUInt32BE(tkhd.end - 4) >>> 16
+    }
+
+    // Frame rate = samples / (total sample duration / media timescale)
+    const stts = findBox(buffer, stbl, "stts")
+    if (stts && mdhd) {
+      const { timescale } = readHeaderDuration(buffer, mdhd)
+      const entries = buffer.readUInt32BE(stts.start + 4)
+      let samples = 0
+      let ticks = 0
+      for (let i = 0; i < entries; i++) {
+        const entry = stts.start + 8 + i * 8
+        if (entry + 8 > stts.end) break
+        const count = buffer.readUInt32BE(entry)
+        samples += count
+        ticks += count * buffer.readUInt32BE(entry + 4)
+      }
+      if (samples && ticks && timescale) {
+        track.frameRate = round((samples * timescale) / ticks)
+      }
+    }
+  }
+
+  return track
+}
+
+const probeMp4 = async (handle, size) => {
+  // Walk top-level box headers without reading media data
+  let offset = 0
+  let moov = null
+  let brand
+
+  while (offset + 8 <= size) {
+    const header = await readAt(handle, offset, 16)
+    if (header.length < 8) break
+
+    let boxSize = header.readUInt32BE(0)
+    const type = header.toString("latin1", 4, 8)
+    if (boxSize === 1 && header.length >= 16) {
+      boxSize = Number(header.readBigUInt64BE(8))
+    } else if (boxSize === 0) {
+      boxSize = size - offset
+    }
+    if (boxSize < 8) break
+
+    if (type === "ftyp") {
+      brand = (await readAt(handle, offset + 8, 4)).toString("latin1").trim()
+    } else if (type === "moov") {
+      if (boxSize > MAX_HEADER_BYTES) {
+        throw new Error("moov box too large to inspect")
+      }
+      moov = await readAt(handle, offset, boxSize)
+      break
+    }
+    offset += boxSize
+  }
+
+  if (!moov) {
+    throw new Error("MP4 file has no moov box")
+  }
+
+  const root = { start: 8, end: moov.length }
+  const result = { container: brand === "qt" ? "mov" : "mp4" }
+
+  const mvhd = findBox(moov, root, "mvhd")
+  if (mvhd) {
+    const { timescale, duration } = readHeaderDuration(moov, mvhd)
+    if (timescale) result.durationSeconds = round(duration / timescale)
+  }
+
+  for (const box of boxes(moov, root.start, root.end)) {
+    if (box.type !== "trak") continue
+    const track = parseTrack(moov, box)
+    if (!track) continue
+
+    if (track.handler === "vide" && !result.videoCodec) {
+      result.videoCodec = CODEC_NAMES[track.codec] || track.codec
+      result.width = track.width
+      result.height = track.height
+      result.frameRate = track.frameRate
+    } else if (track.handler === "soun" && !result.audioCodec) {
+      result.audioCodec = CODEC_NAMES[track.codec] || track.codec
+    }
+  }
+
+  return result
+}
+
+// ==================== WEBM / MATROSKA (EBML) ====================
+
+const EBML = {
+  Header: 0x1a45dfa3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+}
+
+// Variable-length integer. IDs keep their length marker, sizes drop it.
+const readVint = (buffer, offset, keepMarker) => {
+  const first = buffer[offset]
+  if (first === undefined || first === 0) return null
+
+  let length = 1
+  while (!(first & (0x80 >> (length - 1)))) length++
+  if (offset + length > buffer.length) return null
+
+  let value = keepMarker ? first : first & (0xff >> length)
+  let unknown = value === 0xff >> length
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i]
+    if (buffer[offset + i] !== 0xff) unknown = false
+  }
+
+  return { value, length, unknown: !keepMarker && unknown }
+}
+
+function* elements(buffer, start, end) {
+  let offset = start
+  while (offset < end) {
+    const id = readVint(buffer, offset, true)
+    if (!id) return
+    const size = readVint(buffer, offset + id.length, false)
+    if (!size) return
+
+    const dataStart = offset + id.length + size.length
+    // Unknown-size elements (live recordings) run to the end of the parent
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end)
+    yield { id: id.value, start: dataStart, end: dataEnd }
+
+    if (size.unknown) return
+    offset = dataStart + size.value
+  }
+}
+
+const readUint = (buffer, el) => {
+  let value = 0
+  for (let i = el.start; i < el.end; i++) value = value * 256 + buffer[i]
+  return value
+}
+
+const readFloat = (buffer, el) =>
+  el.end - el.start === 4
+    ? buffer.readFloatBE(el.start)
+    : buffer.readDoubleBE(el.start)
+
+const readString = (buffer, el) =>
+  buffer.toString("latin1", el.start, el.end).replace(/\0+$/, "")
+
+const parseTrackEntry = (buffer, entry) => {
+  const track = {}
+  for (const el of elements(buffer, entry.start, entry.end)) {
+    if (el.id === EBML.TrackType) track.type = readUint(buffer, el)
+    if (el.id === EBML.CodecID) track.codec = readString(buffer, el)
+    if (el.id === EBML.DefaultDuration) {
+      track.defaultDuration = readUint(buffer, el)
+    }
+    if (el.id === EBML.Video) {
+      for (const v of elements(buffer, el.start, el.end)) {
+        if (v.id === EBML.PixelWidth) track.width = readUint(buffer, v)
+        if (v.id === EBML.PixelHeight) track.height = readUint(buffer, v)
+      }
+    }
+  }
+  return track
+}
+
+const probeWebm = async (handle) => {
+  const buffer = await readAt(handle, 0, WEBM_SCAN_BYTES)
+  const result = { container: "webm" }
+  let timecodeScale = 1000000
+  let duration
+
+  for (const top of elements(buffer, 0, buffer.length)) {
+    if (top.id === EBML.Header) {
+      for (const el of elements(buffer, top.start, top.end)) {
+        if (el.id === EBML.DocType) {
+          result.container = readString(buffer, el) === "webm" ? "webm" : "mkv"
+        }
+      }
+    }
+
+    if (top.id !== EBML.Segment) continue
+
+    for (const child of elements(buffer, top.start, top.end)) {
+      if (child.id === EBML.Cluster) break
+
+      if (child.id === EBML.Info) {
+        for (const el of elements(buffer, child.start, child.end)) {
+          if (el.id === EBML.TimecodeScale) timecodeScale = readUint(buffer, el)
+          if (el.id === EBML.Duration) duration = readFloat(buffer, el)
+        }
+      }
+
+      if (child.id === EBML.Tracks) {
+        for (const entry of elements(buffer, child.start, child.end)) {
+          if (entry.id !== EBML.TrackEntry) continue
+          const track = parseTrackEntry(buffer, entry)
+
+          if (track.type === 1 && !result.videoCodec) {
+            result.videoCodec = CODEC_NAMES[track.codec] || track.codec
+            result.width = track.width
+            result.height = track.height
+            if (track.defaultDuration) {
+              result.frameRate = round(1e9 / track.defaultDuration)
+            }
+          } else if (track.type === 2 && !result.audioCodec) {
+            result.audioCodec = CODEC_NAMES[track.codec] || track.codec
+          }
+        }
+      }
+    }
+    break
+  }
+
+  if (duration !== undefined) {
+    result.durationSeconds = round((duration * timecodeScale) / 1e9)
+  }
+
+  return result
+}
+
+// ==================== PUBLIC API ====================
+
+// Identify the container from its magic bytes
+const detectContainer = (header) => {
+  if (header.length >= 8 && header.toString("latin1", 4, 8) === "ftyp") {
+    return "mp4"
+  }
+  if (header.length >= 4 && header.readUInt32BE(0) === EBML.Header) {
+    return "webm"
+  }
+  return null
+}
+
+// Read duration, resolution, frame rate and codecs from an MP4/MOV or
+// WebM/MKV file without decoding it
+const probeVideo = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r")
+  try {
+    const { size } = await handle.stat()
+    const container = detectContainer(await readAt(handle, 0, 16))
+
+    let result
+    if (container === "mp4") {
+      result = await probeMp4(handle, size)
+    } else if (container === "webm") {
+      result = await probeWebm(handle)
+    } else {
+      throw new Error("Unsupported video container")
+    }
+
+    result.sizeBytes = size
+    if (result.durationSeconds) {
+      result.bitrate = Math.round((size * 8) / result.durationSeconds)
+    }
+    return result
+  } finally {
+    await handle.close()
+  }
+}
+
+// Grab a poster frame with ffmpeg. Resolves to null when ffmpeg is missing
+// or fails, since a thumbnail is nice to have but never required.
+const generateThumbnail = (videoPath, outputPath, durationSeconds) =>
+  new Promise((resolve) => {
+    const seekTo = durationSeconds ? Math.min(1, durationSeconds / 2) : 0
+    const ffmpeg = spawn(
+      process.env.FFMPEG_PATH || "ffmpeg",
+      [
+        "-y",
+        "-ss",
+        String(seekTo),
+        "-i",
+        videoPath,
+        "-frames:v",
+        "1",
+        "-vf",
+        "scale=640:-2",
+        "-q:v",
+        "3",
+        outputPath,
+      ],
+      { stdio: "ignore" }
+    )
+
+    let settled = false
+    const finish = (result, reason) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      if (reason) console.log("⚠️ Thumbnail skipped:", reason)
+      resolve(result)
+    }
+    const timer = setTimeout(() => {
+      ffmpeg.kill("SIGKILL")
+      finish(null, "ffmpeg timed out")
+    }, 30 * 1000)
+
+    ffmpeg.on("error", (error) => finish(null, error.message))
+    ffmpeg.on("close", (code) =>
+      code === 0
+        ? finish(outputPath)
+        : finish(null, `ffmpeg exited with code ${code}`)
+    )
+  })
+
+// Storage key for a video's thumbnail, e.g. thumbnails/video-1.jpg
+const thumbnailKeyFor = (videoKey) =>
+  `thumbnails/${path.posix.basename(
+    videoKey,
+    path.posix.extname(videoKey)
+  )}.jpg`
+
+module.exports = {
+  detectContainer,
+  probeVideo,
+  generateThumbnail,
+  thumbnailKeyFor,
+}
@@ -1,12 +1,19 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { User } = require('./models');
+const { User, Session, ApiKey } = require('./models');
+const { hashToken, isApiKey } = require('./tokens');
+const { storage, TMP_DIR } = require('./storage');
+const { inspectUpload, quarantineFile } = require('./uploadSafety');
+const { recordAudit } = require('./audit');
+const { MAX_CAMPAIGN_ASSETS } = require('./campaigns');
 
-// Ensure upload directories exist
+// Ensure the local staging directory exists; the storage driver creates
+// its own directories or buckets
 const createUploadDirs = () => {
-  const dirs = ['uploads', 'uploads/videos', 'uploads/assets'];
+  const dirs = [TMP_DIR];
   dirs.forEach(dir => {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
@@ -17,10 +24,32 @@ const createUploadDirs = () => {
 
 createUploadDirs();
 
+// API keys only work on routes that declare the scope they need with
+// requireScope, so any route without one stays JWT-only
+const routeAcceptsApiKeys = (req) =>
+  Boolean(req.route && req.route.stack.some(layer => layer.handle.apiKeyScope));
+
+const authenticateApiKey = async (req, key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    return null;
+  }
+
+  // Record usage at most once a minute to avoid a write on every request
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = req.ip;
+    await apiKey.save();
+  }
+
+  return apiKey;
+};
+
 // Authentication middleware
+// Accepts a JWT access token or an API key, either as a Bearer token or in X-API-Key
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
 
   if (!token) {
     return res.status(401).json({
@@ -30,8 +59,43 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    let userId;
+
+    if (isApiKey(token)) {
+      if (!routeAcceptsApiKeys(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'API keys cannot access this route'
+        });
+      }
+
+      const apiKey = await authenticateApiKey(req, token);
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid API key'
+        });
+      }
+
+      userId = apiKey.userId.toString();
+      req.apiKey = apiKey;
+    } else {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Every access token is bound to a server-side session that can be revoked
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || session.revokedAt || session.userId.toString() !== decoded.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+
+      userId = decoded.id;
+      req.session = session;
+    }
+
+    const user = await User.findById(userId).select('-password');
     
     if (!user) {
       return res.status(401).json({
@@ -40,10 +104,23 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (user.status === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended'
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
     console.log('❌ Authentication failed:', error.message);
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token expired'
+      });
+    }
     return res.status(403).json({
       success: false,
       message: 'Invalid token'
@@ -51,13 +128,32 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Scope check for API key requests; JWT sessions have every scope.
+// Also marks the route as usable with API keys (see routeAcceptsApiKeys).
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the ${scope} scope`
+      });
+    }
+    next();
+  };
+  middleware.apiKeyScope = scope;
+  return middleware;
+};
+
 // Role-based authorization middleware
-const requireRole = (role) => {
+// Accepts one or more roles: requireRole('admin'), requireRole('creator', 'admin')
+// or requireRole(['creator', 'admin'])
+const requireRole = (...roles) => {
+  const allowed = roles.flat();
   return (req, res, next) => {
-    if (req.user.role !== role) {
+    if (!allowed.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
-        message: `Access denied. ${role} role required.`
+        message: `Access denied. ${allowed.join(' or ')} role required.`
       });
     }
     next();
@@ -65,24 +161,92 @@ const requireRole = (role) => {
 };
 
 // Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    if (file.fieldname === 'video') {
-      cb(null, 'uploads/videos');
-    } else if (file.fieldname === 'asset') {
-      cb(null, 'uploads/assets');
-    } else {
-      cb(new Error('Invalid field name'), false);
+const UPLOAD_KINDS = {
+  video: { dir: 'videos', accepts: ['video'] },
+  asset: { dir: 'assets', accepts: ['image', 'video'] },
+  deliverable: { dir: 'deliverables', accepts: ['video'] }
+};
+
+// Multer storage engine that stages each file on local disk, checks its real
+// content, then hands it to the storage driver. The stored extension comes
+// from the detected format, never from the client's file name. Files that
+// fail the checks are quarantined. Handlers read req.file.key and
+// req.file.sha256.
+const uploadStorage = {
+  _handleFile(req, file, cb) {
+    const uploadKind = UPLOAD_KINDS[file.fieldname];
+    if (!uploadKind) {
+      return cb(new Error('Invalid field name'));
     }
-  },
-  filename: (req, file, cb) => {
+
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    const stagedPath = path.join(TMP_DIR, `${file.fieldname}-${uniqueSuffix}.upload`);
+    const hash = crypto.createHash('sha256');
+
+    const output = fs.createWriteStream(stagedPath);
+    output.on('error', cb);
+    output.on('finish', async () => {
+      const size = output.bytesWritten;
+      const sha256 = hash.digest('hex');
+      try {
+        // Over the size limit: multer reports the error, keep nothing
+        if (file.stream.truncated) {
+          await fs.promises.unlink(stagedPath);
+          return cb(null, { size });
+        }
+
+        let detected;
+        try {
+          detected = await inspectUpload(stagedPath, uploadKind.accepts);
+        } catch (error) {
+          const details = {
+            reason: error.message,
+            field: file.fieldname,
+            originalName: file.originalname,
+            claimedMimeType: file.mimetype,
+            size,
+            sha256,
+            userId: req.user?._id,
+            ip: req.ip
+          };
+          const quarantineId = await quarantineFile(stagedPath, details);
+          await recordAudit(req, {
+            action: 'upload.quarantine',
+            targetType: 'Upload',
+            metadata: { ...details, quarantineId }
+          });
+          return cb(error);
+        }
+
+        const filename = `${file.fieldname}-${uniqueSuffix}${detected.extension}`;
+        const key = `${uploadKind.dir}/${filename}`;
+        await storage.putFile(key, stagedPath);
+        cb(null, {
+          key,
+          filename,
+          size,
+          sha256,
+          detectedMimeType: detected.mimeType
+        });
+      } catch (error) {
+        fs.unlink(stagedPath, () => cb(error));
+      }
+    });
+    file.stream.on('data', chunk => hash.update(chunk));
+    file.stream.pipe(output);
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.key) {
+      return cb(null);
+    }
+    storage.delete(file.key).then(() => cb(null), cb);
   }
-});
+};
 
+// Early reject on the client's MIME type; uploadStorage checks the content
 const fileFilter = (req, file, cb) => {
-  if (file.fieldname === 'video') {
+  if (file.fieldname === 'video' || file.fieldname === 'deliverable') {
     if (file.mimetype.startsWith('video/')) {
       cb(null, true);
     } else {
@@ -100,7 +264,7 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage: storage,
+  storage: uploadStorage,
   limits: {
     fileSize: 50 * 1024 * 1024 // 50MB for videos
   },
@@ -110,10 +274,15 @@ const upload = multer({
 // Specific upload configurations
 const uploadVideo = upload.single('video');
 const uploadAsset = upload.single('asset');
+const uploadAssets = upload.array('asset', MAX_CAMPAIGN_ASSETS);
+const uploadDeliverable = upload.single('deliverable');
 
 module.exports = {
   authenticateToken,
   requireRole,
+  requireScope,
   uploadVideo,
-  uploadAsset
+  uploadAsset,
+  uploadAssets,
+  uploadDeliverable
 };
\ No newline at end of file
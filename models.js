@@ -1,11 +1,63 @@
 const mongoose = require("mongoose")
 
+// Profile details shown to the other side of a match
+const creatorProfileSchema = new mongoose.Schema(
+  {
+    niche: { type: String },
+    audienceSize: { type: Number, min: 0 },
+    demographics: {
+      ageRanges: { type: [String], default: undefined },
+      topCountries: { type: [String], default: undefined },
+      genderSplit: {
+        female: { type: Number, min: 0, max: 100 },
+        male: { type: Number, min: 0, max: 100 },
+        other: { type: Number, min: 0, max: 100 },
+      },
+    },
+    socialHandles: {
+      youtube: { type: String },
+      instagram: { type: String },
+      tiktok: { type: String },
+      twitter: { type: String },
+    },
+  },
+  { _id: false }
+)
+
+const marketerProfileSchema = new mongoose.Schema(
+  {
+    companyName: { type: String },
+    website: { type: String },
+    industry: { type: String },
+  },
+  { _id: false }
+)
+
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ["creator", "marketer"], required: true },
+    role: {
+      type: String,
+      enum: ["creator", "marketer", "admin"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "suspended"],
+      default: "active",
+    },
+    suspendedAt: { type: Date },
+    suspensionReason: { type: String },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockUntil: { type: Date },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    bio: { type: String, maxlength: 1000 },
+    avatarUrl: { type: String },
+    creatorProfile: { type: creatorProfileSchema },
+    marketerProfile: { type: marketerProfileSchema },
   },
   { timestamps: true }
 )
@@ -15,12 +67,28 @@ const videoSchema = new mongoose.Schema(
     title: { type: String, required: true },
     genre: { type: String, required: true },
     tone: { type: String, required: true },
-    videoPath: { type: String, required: true },
+    // Storage key, e.g. videos/video-123.mp4
+    videoKey: { type: String, required: true },
+    sha256: { type: String },
+    // Read from the container on upload; empty when it cannot be parsed
+    media: {
+      container: { type: String },
+      durationSeconds: { type: Number },
+      width: { type: Number },
+      height: { type: Number },
+      frameRate: { type: Number },
+      videoCodec: { type: String },
+      audioCodec: { type: String },
+      bitrate: { type: Number },
+      sizeBytes: { type: Number },
+    },
+    thumbnailKey: { type: String, default: null },
     creatorId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Derived from the video's matches, see videoStatusFor in matches.js
     status: {
       type: String,
       enum: ["uploaded", "matched", "approved"],
@@ -30,17 +98,68 @@ const videoSchema = new mongoose.Schema(
   { timestamps: true }
 )
 
+// One creative in a campaign's gallery
+const campaignAssetSchema = new mongoose.Schema(
+  {
+    // Storage key, e.g. assets/asset-123.png
+    key: { type: String, required: true },
+    sha256: { type: String },
+    mimeType: { type: String },
+    label: { type: String, default: "" },
+  },
+  { timestamps: true }
+)
+
 const campaignSchema = new mongoose.Schema(
   {
     productName: { type: String, required: true },
     category: { type: String, required: true },
     description: { type: String },
-    assetPath: { type: String, required: true },
+    // Gallery in display order; the first asset is the cover
+    assets: { type: [campaignAssetSchema], default: [] },
     marketerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Shared with every member when the marketer belongs to an organization
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    // See CAMPAIGN_TRANSITIONS in campaigns.js
+    status: {
+      type: String,
+      enum: ["draft", "active", "paused", "completed", "archived"],
+      default: "draft",
+    },
+    // Matching window; null means no limit
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    // Amounts in the currency's major unit, e.g. 2500.5 USD
+    budget: {
+      currency: { type: String, default: "USD" },
+      total: { type: Number, default: null },
+      perCreator: { type: Number, default: null },
+    },
+    // Hard filters applied before AI scoring; empty lists mean "any"
+    targeting: {
+      genres: { type: [String], default: [] },
+      blockedGenres: { type: [String], default: [] },
+      excludedTones: { type: [String], default: [] },
+      minDurationSeconds: { type: Number, default: null },
+      allowedCreatorIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+      },
+      blockedCreatorIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+      },
+      minScore: { type: Number, default: null },
+    },
   },
   { timestamps: true }
 )
@@ -59,10 +178,38 @@ const matchSchema = new mongoose.Schema(
     },
     matchScore: { type: Number, required: true },
     reasoning: { type: String },
+    // See MATCH_TRANSITIONS in matches.js
     status: {
       type: String,
-      enum: ["pending", "accepted", "rejected"],
-      default: "pending",
+      enum: [
+        "proposed",
+        "marketer_shortlisted",
+        "creator_accepted",
+        "confirmed",
+        "declined",
+        "withdrawn",
+        "completed",
+      ],
+      default: "proposed",
+    },
+    // Set when the video changed after scoring; find-matches re-scores it
+    isStale: { type: Boolean, default: false },
+    staleSince: { type: Date },
+    // Accepted matches are archived rather than deleted with their video
+    archivedAt: { type: Date, default: null },
+    // Copy of the accepted offer, locked once set
+    agreedTerms: {
+      type: new mongoose.Schema(
+        {
+          offerId: { type: mongoose.Schema.Types.ObjectId, ref: "Offer" },
+          amount: { type: Number },
+          currency: { type: String },
+          terms: { type: String },
+          agreedAt: { type: Date },
+        },
+        { _id: false }
+      ),
+      default: null,
     },
   },
   { timestamps: true }
@@ -70,9 +217,21 @@ const matchSchema = new mongoose.Schema(
 
 // Create indexes for better performance
 userSchema.index({ email: 1 })
+userSchema.index({ role: 1, status: 1 })
 videoSchema.index({ creatorId: 1 })
+// Video search: text search on titles, plus filters sorted newest first
+videoSchema.index({ title: "text" })
+videoSchema.index({ genre: 1, createdAt: -1 })
+videoSchema.index({ tone: 1, createdAt: -1 })
+videoSchema.index({ status: 1, createdAt: -1 })
+videoSchema.index({ createdAt: -1 })
 campaignSchema.index({ marketerId: 1 })
+campaignSchema.index({ organizationId: 1 })
+// Eligible campaigns for matching and the auto-complete job
+campaignSchema.index({ status: 1, endsAt: 1 })
 matchSchema.index({ videoId: 1, campaignId: 1 })
+// Newest-first match lists per campaign
+matchSchema.index({ campaignId: 1, createdAt: -1 })
 
 // ==================== NEW CHAT SYSTEM SCHEMAS ====================
 
@@ -84,6 +243,11 @@ const chatSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     isActive: { type: Boolean, default: true },
   },
   { timestamps: true }
@@ -105,7 +269,544 @@ const messageSchema = new mongoose.Schema(
 
 // Create indexes for chat system
 chatSchema.index({ marketerId: 1 })
-messageSchema.index({ chatId: 1 })
+chatSchema.index({ organizationId: 1 })
+messageSchema.index({ chatId: 1, createdAt: 1 })
+
+// ==================== AUTH SESSION SCHEMAS ====================
+
+// One document per signed-in device. Access tokens carry the session id so
+// revoking the session invalidates them before they expire.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    rotatedTokenHashes: { type: [String], default: [] },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+  },
+  { timestamps: true }
+)
+
+sessionSchema.index({ userId: 1, revokedAt: 1 })
+sessionSchema.index({ rotatedTokenHashes: 1 })
+// Let MongoDB purge sessions a week after their refresh token expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+// Single-use tokens sent by email (verification, password reset)
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["email-verification", "password-reset"],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+userTokenSchema.index({ userId: 1, type: 1 })
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+// ==================== ORGANIZATION SCHEMAS ====================
+
+// A marketing team. Campaigns and chats created by members belong to it.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["owner", "admin", "member"],
+          required: true,
+        },
+        joinedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+)
+
+const invitationSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ["admin", "member"], default: "member" },
+    tokenHash: { type: String, required: true, unique: true },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: { type: Date, required: true },
+    acceptedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+// A marketer can belong to at most one organization
+organizationSchema.index({ "members.userId": 1 }, { unique: true })
+invitationSchema.index({ organizationId: 1, email: 1 })
+
+// ==================== API KEY SCHEMA ====================
+
+// Programmatic access on behalf of a user, limited to the granted scopes
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: { type: String, required: true },
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    scopes: { type: [String], default: [] },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String },
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+apiKeySchema.index({ userId: 1, revokedAt: 1 })
+
+// ==================== AUDIT LOG SCHEMA ====================
+
+// Append-only record of every state-changing action
+const auditEventSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorRole: { type: String },
+    actorType: {
+      type: String,
+      enum: ["user", "api-key", "system", "anonymous"],
+      required: true,
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null,
+    },
+    action: { type: String, required: true },
+    targetType: { type: String, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    before: { type: Object, default: null },
+    after: { type: Object, default: null },
+    diff: { type: [Object], default: [] },
+    metadata: { type: Object },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+)
+
+auditEventSchema.index({ createdAt: -1 })
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 })
+auditEventSchema.index({ actorId: 1, createdAt: -1 })
+auditEventSchema.index({ action: 1, createdAt: -1 })
+
+// ==================== RESUMABLE UPLOAD SCHEMA ====================
+
+// A large video sent in chunks. The bytes live in uploads/tmp until the
+// upload is completed and turned into a Video.
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    filename: { type: String, required: true },
+    extension: { type: String, required: true },
+    size: { type: Number, required: true },
+    offset: { type: Number, default: 0 },
+    title: { type: String, required: true },
+    genre: { type: String, required: true },
+    tone: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["active", "finalizing", "completed"],
+      default: "active",
+    },
+    // Set while a chunk is being written so chunks cannot interleave
+    lockedAt: { type: Date, default: null },
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      default: null,
+    },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+)
+
+uploadSessionSchema.index({ userId: 1, status: 1 })
+uploadSessionSchema.index({ expiresAt: 1 })
+
+// ==================== DELIVERABLE SCHEMA ====================
+
+// One revised cut submitted by the creator against an accepted match.
+// Versions count up per match; older versions are kept as history.
+const deliverableSchema = new mongoose.Schema(
+  {
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      required: true,
+    },
+    version: { type: Number, required: true },
+    // Storage key, e.g. deliverables/deliverable-123.mp4
+    videoKey: { type: String, required: true },
+    sha256: { type: String },
+    media: {
+      container: { type: String },
+      durationSeconds: { type: Number },
+      width: { type: Number },
+      height: { type: Number },
+      frameRate: { type: Number },
+      videoCodec: { type: String },
+      audioCodec: { type: String },
+      bitrate: { type: Number },
+      sizeBytes: { type: Number },
+    },
+    notes: { type: String },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // "superseded" when a newer version arrives before this one is reviewed
+    status: {
+      type: String,
+      enum: ["submitted", "approved", "changes_requested", "superseded"],
+      default: "submitted",
+    },
+    reviewComment: { type: String },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+deliverableSchema.index({ matchId: 1, version: -1 }, { unique: true })
+
+const offerSchema = new mongoose.Schema(
+  {
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      required: true,
+    },
+    // Offers are numbered per match; a counter-offer takes the next round
+    round: { type: Number, required: true },
+    amount: { type: Number, required: true },
+    currency: { type: String, required: true },
+    terms: { type: String, required: true },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Only the other side can respond
+    side: { type: String, enum: ["marketer", "creator"], required: true },
+    counterOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Offer",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["open", "accepted", "declined", "countered"],
+      default: "open",
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    respondedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+offerSchema.index({ matchId: 1, round: 1 }, { unique: true })
+// At most one open offer per match
+offerSchema.index(
+  { matchId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+)
+
+const collaborationMilestoneSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["draft_due", "revision", "publish", "payment_release"],
+      required: true,
+    },
+    title: { type: String, required: true },
+    dueAt: { type: Date, required: true },
+    // Side responsible for the milestone, see MILESTONE_TYPES
+    owner: { type: String, enum: ["creator", "marketer"], required: true },
+    status: {
+      type: String,
+      enum: ["pending", "in_progress", "done"],
+      default: "pending",
+    },
+    completedAt: { type: Date, default: null },
+    // Set once by the overdue job; cleared when the due date moves
+    overdueSince: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+const collaborationSchema = new mongoose.Schema(
+  {
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      required: true,
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true,
+    },
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    creatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // What the creator agreed to produce; submitted cuts are Deliverables
+    deliverables: [
+      {
+        title: { type: String, required: true },
+        description: { type: String },
+        dueAt: { type: Date, default: null },
+      },
+    ],
+    milestones: [collaborationMilestoneSchema],
+    // Status notes from both sides, oldest first
+    updates: [
+      new mongoose.Schema(
+        {
+          authorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          side: { type: String, enum: ["creator", "marketer"] },
+          message: { type: String, required: true },
+          milestoneId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        },
+        { timestamps: true }
+      ),
+    ],
+    // Completed once every milestone is done
+    status: {
+      type: String,
+      enum: ["active", "completed"],
+      default: "active",
+    },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+collaborationSchema.index({ matchId: 1 }, { unique: true })
+collaborationSchema.index({ creatorId: 1, createdAt: -1 })
+collaborationSchema.index({ campaignId: 1, createdAt: -1 })
+// Overdue milestone job
+collaborationSchema.index({ status: 1, "milestones.dueAt": 1 })
+
+// Ledger accounts keep a running balance in minor units (cents), as credits
+// minus debits. Only the provider account may go negative: it mirrors the
+// money held with the payment provider.
+const ledgerAccountSchema = new mongoose.Schema(
+  {
+    // e.g. "marketer:<userId>:USD", "escrow:<matchId>:USD", "platform:fees:USD"
+    key: { type: String, required: true },
+    kind: {
+      type: String,
+      enum: ["marketer", "creator", "escrow", "platform", "provider"],
+      required: true,
+    },
+    currency: { type: String, required: true },
+    balance: { type: Number, default: 0 },
+    // Wallet owner, or the marketer who funded an escrow account
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Escrow accounts only
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      default: null,
+    },
+    creatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+ledgerAccountSchema.index({ key: 1 }, { unique: true })
+ledgerAccountSchema.index({ userId: 1, kind: 1 })
+ledgerAccountSchema.index({ creatorId: 1, kind: 1 })
+
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "deposit",
+        "escrow_hold",
+        "escrow_release",
+        "platform_fee",
+        "refund",
+        "payout",
+        "payout_reversal",
+      ],
+      required: true,
+    },
+    currency: { type: String, required: true },
+    // Total moved, in minor units
+    amount: { type: Number, required: true },
+    entries: {
+      type: [
+        new mongoose.Schema(
+          {
+            account: { type: String, required: true },
+            direction: {
+              type: String,
+              enum: ["debit", "credit"],
+              required: true,
+            },
+            amount: { type: Number, required: true, min: 1 },
+          },
+          { _id: false }
+        ),
+      ],
+      validate: {
+        validator: (entries) => {
+          const total = (direction) =>
+            entries
+              .filter((entry) => entry.direction === direction)
+              .reduce((sum, entry) => sum + entry.amount, 0)
+          return entries.length >= 2 && total("debit") === total("credit")
+        },
+        message: "Ledger entries must balance",
+      },
+    },
+    // Users who see this transaction in their history
+    parties: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      default: null,
+    },
+    provider: { type: String, default: null },
+    providerReference: { type: String, default: null },
+    // Payouts only: pending until the provider confirms or declines it
+    status: {
+      type: String,
+      enum: ["pending", "paid", "reversed", null],
+      default: null,
+    },
+    // Replaying a request with the same key returns the first transaction
+    idempotencyKey: { type: String },
+    memo: { type: String },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+ledgerTransactionSchema.index(
+  { idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { idempotencyKey: { $type: "string" } },
+  }
+)
+ledgerTransactionSchema.index({ parties: 1, createdAt: -1 })
+ledgerTransactionSchema.index({ matchId: 1, createdAt: 1 })
+
+// A genre, tone or campaign category. See taxonomy.js.
+const taxonomyTermSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["genres", "tones", "categories"],
+      required: true,
+    },
+    value: { type: String, required: true },
+    label: { type: String, required: true },
+    parent: { type: String, default: null },
+    synonyms: { type: [String], default: [] },
+  },
+  { timestamps: true }
+)
+
+taxonomyTermSchema.index({ type: 1, value: 1 }, { unique: true })
 
 const User = mongoose.model("User", userSchema)
 const Video = mongoose.model("Video", videoSchema)
@@ -113,5 +814,41 @@ const Campaign = mongoose.model("Campaign", campaignSchema)
 const Match = mongoose.model("Match", matchSchema)
 const Chat = mongoose.model("Chat", chatSchema)
 const Message = mongoose.model("Message", messageSchema)
+const Session = mongoose.model("Session", sessionSchema)
+const UserToken = mongoose.model("UserToken", userTokenSchema)
+const Organization = mongoose.model("Organization", organizationSchema)
+const Invitation = mongoose.model("Invitation", invitationSchema)
+const ApiKey = mongoose.model("ApiKey", apiKeySchema)
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema)
+const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
+const Deliverable = mongoose.model("Deliverable", deliverableSchema)
+const Offer = mongoose.model("Offer", offerSchema)
+const Collaboration = mongoose.model("Collaboration", collaborationSchema)
+const LedgerAccount = mongoose.model("LedgerAccount", ledgerAccountSchema)
+const TaxonomyTerm = mongoose.model("TaxonomyTerm", taxonomyTermSchema)
+const LedgerTransaction = mongoose.model(
+  "LedgerTransaction",
+  ledgerTransactionSchema
+)
 
-module.exports = { User, Video, Campaign, Match, Chat, Message }
+module.exports = {
+  User,
+  Video,
+  Campaign,
+  Match,
+  Chat,
+  Message,
+  Session,
+  UserToken,
+  Organization,
+  Invitation,
+  ApiKey,
+  AuditEvent,
+  UploadSession,
+  Deliverable,
+  Offer,
+  Collaboration,
+  LedgerAccount,
+  LedgerTransaction,
+  TaxonomyTerm,
+}
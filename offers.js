@@ -0,0 +1,60 @@
+const { parseAmount } = require("./campaigns")
+const { NEGOTIATING_MATCH_STATUSES } = require("./matches")
+
+const MAX_OFFER_TERMS_LENGTH = 5000
+
+// The side that may respond to an offer made by `side`
+const OTHER_SIDE = { marketer: "creator", creator: "marketer" }
+
+// Why no offer can be made or answered on this match, or null. Expects the
+// match with its campaign populated.
+const negotiationBlocker = (match) => {
+  if (match.archivedAt) return "Match is archived"
+  if (match.agreedTerms) return "Terms for this match are already agreed"
+  if (!NEGOTIATING_MATCH_STATUSES.includes(match.status)) {
+    return `Offers need a shortlisted match that is not yet confirmed (this one is ${match.status})`
+  }
+  if (match.campaignId.status === "archived") return "Campaign is archived"
+  return null
+}
+
+// Why an amount is over the campaign's per-creator budget, or null
+const creatorBudgetError = (amount, campaign) => {
+  const perCreator = campaign.budget?.perCreator
+  return perCreator != null && amount > perCreator
+    ? `amount is above the campaign's creatorBudget of ${perCreator}`
+    : null
+}
+
+// Validate the fee and terms of an offer or counter-offer. Offers are in the
+// campaign's budget currency, and neither side can ask for more than the
+// campaign's per-creator budget. Returns { errors, offer }.
+const parseOffer = (body, campaign) => {
+  const errors = []
+
+  const amount =
+    body.amount === undefined
+      ? null
+      : parseAmount(body.amount, "amount", errors)
+  if (amount === null) errors.push("amount is required")
+
+  const terms = typeof body.terms === "string" ? body.terms.trim() : ""
+  if (!terms || terms.length > MAX_OFFER_TERMS_LENGTH) {
+    errors.push(`terms must be 1-${MAX_OFFER_TERMS_LENGTH} characters`)
+  }
+
+  const overBudget = amount != null && creatorBudgetError(amount, campaign)
+  if (overBudget) errors.push(overBudget)
+
+  return {
+    errors,
+    offer: { amount, currency: campaign.budget?.currency || "USD", terms },
+  }
+}
+
+module.exports = {
+  OTHER_SIDE,
+  negotiationBlocker,
+  creatorBudgetError,
+  parseOffer,
+}
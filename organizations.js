@@ -0,0 +1,54 @@
+const { Organization } = require("./models")
+
+// Higher rank can manage lower ranks
+const ORG_ROLE_RANK = { member: 1, admin: 2, owner: 3 }
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000
+
+// Returns { organization, role } for the user's organization, or null
+const getMembership = async (userId) => {
+  const organization = await Organization.findOne({ "members.userId": userId })
+  if (!organization) return null
+
+  const member = organization.members.find(
+    (m) => m.userId.toString() === userId.toString()
+  )
+  return { organization, role: member.role }
+}
+
+// Query filter for campaigns and chats the marketer can work on: the whole
+// organization's when they belong to one, otherwise only their own. Work
+// created inside an organization stays there after the author leaves.
+const marketerScope = async (user) => {
+  const membership = await getMembership(user._id)
+  return membership
+    ? { organizationId: membership.organization._id }
+    : { marketerId: user._id, organizationId: null }
+}
+
+// Check an already loaded campaign or chat against a scope from marketerScope
+const isInScope = (doc, scope) => {
+  if (scope.organizationId) {
+    return (
+      Boolean(doc.organizationId) &&
+      doc.organizationId.toString() === scope.organizationId.toString()
+    )
+  }
+  return (
+    !doc.organizationId &&
+    (doc.marketerId?._id || doc.marketerId).toString() ===
+      scope.marketerId.toString()
+  )
+}
+
+const hasOrgRole = (role, minimumRole) =>
+  ORG_ROLE_RANK[role] >= ORG_ROLE_RANK[minimumRole]
+
+module.exports = {
+  ORG_ROLE_RANK,
+  INVITATION_TTL,
+  getMembership,
+  marketerScope,
+  isInScope,
+  hasOrgRole,
+}
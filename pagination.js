@@ -0,0 +1,158 @@
+const mongoose = require("mongoose")
+
+// Cursor (keyset) pagination shared by the list endpoints. Each endpoint
+// declares its sort options as { name: { field, order, type } }. Sort fields
+// must be set on every document; _id breaks ties so pages never overlap.
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+const encodeCursor = (sortName, value, id) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sortName,
+      v: value instanceof Date ? value.toISOString() : value,
+      id: id.toString(),
+    })
+  ).toString("base64url")
+
+// Returns { value, id } or null when the cursor is malformed or was issued
+// for another sort
+const decodeCursor = (cursor, sortName, sortOption) => {
+  try {
+    const { s, v, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    )
+    if (s !== sortName || !mongoose.isValidObjectId(id)) return null
+
+    const value = sortOption.type === "date" ? new Date(v) : v
+    if (sortOption.type === "date" && isNaN(value)) return null
+    if (sortOption.type === "number" && typeof value !== "number") return null
+    if (sortOption.type === "string" && typeof value !== "string") return null
+
+    return { value, id: new mongoose.Types.ObjectId(id) }
+  } catch (error) {
+    return null
+  }
+}
+
+// Read limit, sort and cursor from a request query. Returns errors for the
+// caller to report, plus helpers to build the query and the page:
+//   Model.find(page.where(filter)).sort(page.sort).limit(page.limit + 1)
+//   const { items, nextCursor } = page.result(docs)
+const parseLimit = (query, errors) => {
+  if (query.limit === undefined) return DEFAULT_LIMIT
+  const limit = Number(query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be a whole number between 1 and ${MAX_LIMIT}`)
+  }
+  return limit
+}
+
+const parsePagination = (query, sorts, defaultSort) => {
+  const errors = []
+  const limit = parseLimit(query, errors)
+
+  const sortName = query.sort === undefined ? defaultSort : query.sort
+  const sortOption = sorts[sortName]
+  if (!sortOption) {
+    errors.push(`sort must be one of: ${Object.keys(sorts).join(", ")}`)
+  }
+
+  let after = null
+  if (query.cursor !== undefined && sortOption) {
+    after =
+      typeof query.cursor === "string"
+        ? decodeCursor(query.cursor, sortName, sortOption)
+        : null
+    if (!after) {
+      errors.push("cursor is invalid or was issued for a different sort")
+    }
+  }
+
+  if (errors.length) return { errors }
+
+  const { field, order } = sortOption
+  const comparison = order === 1 ? "$gt" : "$lt"
+
+  return {
+    errors,
+    limit,
+    sort: { [field]: order, _id: order },
+
+    // Combine the endpoint's filter with "after the cursor"
+    where: (filter) =>
+      after
+        ? {
+            $and: [
+              filter,
+              {
+                $or: [
+                  { [field]: { [comparison]: after.value } },
+                  { [field]: after.value, _id: { [comparison]: after.id } },
+                ],
+              },
+            ],
+          }
+        : filter,
+
+    // Trim the look-ahead document fetched with limit + 1
+    result: (docs) => {
+      const items = docs.slice(0, limit)
+      const last = items[items.length - 1]
+      return {
+        items,
+        nextCursor:
+          docs.length > limit
+            ? encodeCursor(sortName, last.get(field), last._id)
+            : null,
+      }
+    },
+  }
+}
+
+// Offset pagination for orders no query can continue from, such as text
+// search relevance. The cursor carries the offset, so clients page exactly
+// as with parsePagination:
+//   Model.find(filter).sort(...).skip(page.skip).limit(page.limit + 1)
+const parseOffsetPagination = (query, sortName) => {
+  const errors = []
+  const limit = parseLimit(query, errors)
+
+  let skip = 0
+  if (query.cursor !== undefined) {
+    try {
+      const { s, o } = JSON.parse(
+        Buffer.from(String(query.cursor), "base64url").toString("utf8")
+      )
+      if (s !== sortName || !Number.isInteger(o) || o < 0) throw new Error()
+      skip = o
+    } catch (error) {
+      errors.push("cursor is invalid or was issued for a different sort")
+    }
+  }
+
+  if (errors.length) return { errors }
+
+  return {
+    errors,
+    limit,
+    skip,
+    result: (docs) => ({
+      items: docs.slice(0, limit),
+      nextCursor:
+        docs.length > limit
+          ? Buffer.from(
+              JSON.stringify({ s: sortName, o: skip + limit })
+            ).toString("base64url")
+          : null,
+    }),
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  parseOffsetPagination,
+}
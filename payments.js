@@ -0,0 +1,65 @@
+const crypto = require("crypto")
+
+// ==================== PROVIDERS ====================
+// Every provider exposes charge() for marketer deposits and payout() for
+// creator withdrawals. Both take { amount, currency, userId, idempotencyKey }
+// with amount in minor units, and resolve to { reference }. A refused
+// payment rejects with an error whose `declined` flag is set and whose
+// message is safe to show the user.
+
+const declined = (message) => {
+  const error = new Error(message)
+  error.declined = true
+  return error
+}
+
+// Settles everything instantly and in memory, so the whole money flow can be
+// exercised locally. Payment method "mock_declined" is refused.
+class MockPaymentProvider {
+  constructor() {
+    this.name = "mock"
+    // idempotencyKey -> reference, so retries are not charged twice
+    this.processed = new Map()
+  }
+
+  async settle(prefix, { idempotencyKey }) {
+    if (idempotencyKey && this.processed.has(idempotencyKey)) {
+      return { reference: this.processed.get(idempotencyKey) }
+    }
+    const reference = `mock_${prefix}_${crypto.randomBytes(8).toString("hex")}`
+    if (idempotencyKey) this.processed.set(idempotencyKey, reference)
+    return { reference }
+  }
+
+  async charge(payment) {
+    if (payment.paymentMethod === "mock_declined") {
+      throw declined("The payment method was declined")
+    }
+    return this.settle("ch", payment)
+  }
+
+  async payout(payment) {
+    return this.settle("po", payment)
+  }
+}
+
+const providers = {
+  mock: MockPaymentProvider,
+}
+
+const createPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || "mock"
+  const Provider = providers[name]
+  if (!Provider) {
+    throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`)
+  }
+  return new Provider()
+}
+
+const paymentProvider = createPaymentProvider()
+console.log(`💳 Payments through the ${paymentProvider.name} provider`)
+
+module.exports = {
+  paymentProvider,
+  MockPaymentProvider,
+}
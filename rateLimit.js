@@ -0,0 +1,190 @@
+const crypto = require("crypto")
+
+// ==================== STORES ====================
+// Every store exposes increment(key, windowMs) -> { count, resetAt }
+
+// Fixed windows kept in process memory. Fine for a single server.
+class MemoryStore {
+  constructor() {
+    this.hits = new Map()
+    this.cleanup = setInterval(() => this.prune(), 60 * 1000)
+    this.cleanup.unref()
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now()
+    let entry = this.hits.get(key)
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs }
+      this.hits.set(key, entry)
+    }
+
+    entry.count += 1
+    return { count: entry.count, resetAt: entry.resetAt }
+  }
+
+  prune() {
+    const now = Date.now()
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key)
+    }
+  }
+}
+
+// Shared counters so limits hold across several servers
+class RedisStore {
+  constructor(url) {
+    const Redis = require("ioredis")
+    this.client = new Redis(url, { maxRetriesPerRequest: 1 })
+    this.client.on("error", (error) =>
+      console.log("❌ Rate limit Redis error:", error.message)
+    )
+  }
+
+  async increment(key, windowMs) {
+    const redisKey = `ratelimit:${key}`
+    const [[, count], [, ttl]] = await this.client
+      .multi()
+      .incr(redisKey)
+      .pttl(redisKey)
+      .exec()
+
+    if (ttl < 0) {
+      await this.client.pexpire(redisKey, windowMs)
+      return { count, resetAt: Date.now() + windowMs }
+    }
+
+    return { count, resetAt: Date.now() + ttl }
+  }
+}
+
+let defaultStore = null
+
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore =
+      process.env.RATE_LIMIT_STORE === "redis"
+        ? new RedisStore(process.env.REDIS_URL)
+        : new MemoryStore()
+    console.log(
+      `🚦 Rate limiting using ${
+        defaultStore instanceof RedisStore ? "Redis" : "in-memory"
+      } store`
+    )
+  }
+  return defaultStore
+}
+
+// ==================== MIDDLEWARE ====================
+
+const keyGenerators = {
+  ip: (req) => `ip:${req.ip}`,
+  // Falls back to the IP on routes reached without a signed-in user
+  user: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`),
+  // One bucket per refresh token (hashed, never stored as is), so clients
+  // sharing an IP do not use up each other's refreshes
+  refreshToken: (req) =>
+    typeof req.body?.refreshToken === "string"
+      ? `token:${crypto
+          .createHash("sha256")
+          .update(req.body.refreshToken)
+          .digest("hex")}`
+      : `ip:${req.ip}`,
+}
+
+// Read "<max>/<windowSeconds>" overrides such as RATE_LIMIT_AI=10/60
+const readLimitEnv = (name, max, windowSeconds) => {
+  const [envMax, envWindow] = (process.env[name] || "").split("/")
+  return {
+    max: parseInt(envMax, 10) || max,
+    windowMs: (parseInt(envWindow, 10) || windowSeconds) * 1000,
+  }
+}
+
+// Fixed-window limiter that sets RateLimit-* headers, and Retry-After once
+// the limit is hit. Store errors let the request through.
+const createRateLimiter = ({
+  name,
+  max,
+  windowMs,
+  keyBy = "ip",
+  message = "Too many requests, please try again later",
+  store,
+}) => {
+  const getKey = typeof keyBy === "function" ? keyBy : keyGenerators[keyBy]
+
+  return async (req, res, next) => {
+    let result
+    try {
+      result = await (store || getDefaultStore()).increment(
+        `${name}:${getKey(req)}`,
+        windowMs
+      )
+    } catch (error) {
+      console.log("⚠️ Rate limiter unavailable:", error.message)
+      return next()
+    }
+
+    const resetSeconds = Math.max(
+      Math.ceil((result.resetAt - Date.now()) / 1000),
+      0
+    )
+    res.setHeader("RateLimit-Limit", max)
+    res.setHeader("RateLimit-Remaining", Math.max(max - result.count, 0))
+    res.setHeader("RateLimit-Reset", resetSeconds)
+
+    if (result.count > max) {
+      console.log(`🚦 Rate limit exceeded for ${name}`)
+      res.setHeader("Retry-After", resetSeconds)
+      return res.status(429).json({
+        success: false,
+        message,
+      })
+    }
+
+    next()
+  }
+}
+
+// ==================== LIMITERS ====================
+
+const authLimiter = createRateLimiter({
+  name: "auth",
+  keyBy: "ip",
+  message: "Too many authentication attempts, please try again later",
+  ...readLimitEnv("RATE_LIMIT_AUTH", 20, 15 * 60),
+})
+
+// Refreshing runs once per access token lifetime for every signed-in
+// client, so it stays out of the login and password reset bucket
+const refreshLimiter = createRateLimiter({
+  name: "refresh",
+  keyBy: "refreshToken",
+  message: "Too many token refreshes, please try again later",
+  ...readLimitEnv("RATE_LIMIT_REFRESH", 10, 60),
+})
+
+const aiMatchLimiter = createRateLimiter({
+  name: "ai-match",
+  keyBy: "user",
+  message: "Too many AI matching requests, please slow down",
+  ...readLimitEnv("RATE_LIMIT_AI", 10, 60),
+})
+
+const chatMessageLimiter = createRateLimiter({
+  name: "chat-message",
+  keyBy: "user",
+  message: "Too many chat messages, please slow down",
+  ...readLimitEnv("RATE_LIMIT_CHAT", 20, 60),
+})
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createRateLimiter,
+  authLimiter,
+  refreshLimiter,
+  aiMatchLimiter,
+  chatMessageLimiter,
+}
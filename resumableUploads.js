@@ -0,0 +1,178 @@
+const fs = require("fs")
+const path = require("path")
+const { UploadSession } = require("./models")
+const { storage, TMP_DIR: UPLOAD_TMP_DIR } = require("./storage")
+
+const MAX_UPLOAD_BYTES =
+  parseInt(process.env.RESUMABLE_UPLOAD_MAX_MB || "2048", 10) * 1024 * 1024
+
+// Idle uploads expire this long after their last chunk
+const UPLOAD_SESSION_TTL =
+  parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || "24", 10) * 60 * 60 * 1000
+
+// A chunk writer that died without releasing its lock is ignored after this
+const CHUNK_LOCK_TIMEOUT = 10 * 60 * 1000
+
+const MAX_ACTIVE_UPLOADS = 10
+
+const VIDEO_EXTENSIONS = [".mp4", ".m4v", ".mov", ".webm", ".mkv", ".avi"]
+
+const CHUNK_CONTENT_TYPES = [
+  "application/offset+octet-stream",
+  "application/octet-stream",
+]
+
+const tempPathFor = (session) =>
+  path.join(UPLOAD_TMP_DIR, `${session._id}.part`)
+
+const nextExpiry = () => new Date(Date.now() + UPLOAD_SESSION_TTL)
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath)
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.log("⚠️ Could not remove upload file:", filePath, error.message)
+    }
+  }
+}
+
+const createTempFile = async (session) => {
+  await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true })
+  await fs.promises.writeFile(tempPathFor(session), "")
+}
+
+// Take the write lock for one chunk. Fails when the offset moved or another
+// chunk is still being written.
+const claimChunkLock = (session, offset) =>
+  UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: "active",
+      offset,
+      $or: [
+        { lockedAt: null },
+        { lockedAt: { $lt: new Date(Date.now() - CHUNK_LOCK_TIMEOUT) } },
+      ],
+    },
+    { lockedAt: new Date() },
+    { new: true }
+  )
+
+// Append the request body at the session's offset. Bytes that reached disk
+// before a disconnect are kept, so the client can resume from there.
+// Resolves to { offset, overflow, aborted }.
+const appendChunk = async (session, req) => {
+  const filePath = tempPathFor(session)
+  // Drop anything past the recorded offset, e.g. from a crashed writer
+  await fs.promises.truncate(filePath, session.offset)
+
+  const handle = await fs.promises.open(filePath, "a")
+  let written = 0
+  let overflow = false
+  let aborted = false
+
+  try {
+    for await (const chunk of req) {
+      // Keep draining so the client still gets a response
+      if (overflow || session.offset + written + chunk.length > session.size) {
+        overflow = true
+        continue
+      }
+      await handle.write(chunk)
+      written += chunk.length
+    }
+  } catch (error) {
+    aborted = true
+  } finally {
+    await handle.close()
+  }
+
+  const offset = session.offset + written
+  await UploadSession.updateOne(
+    { _id: session._id },
+    { offset, lockedAt: null, expiresAt: nextExpiry() }
+  )
+
+  return { offset, overflow, aborted }
+}
+
+// Storage key for a finished upload, named like multer's video uploads.
+// The extension comes from the detected format.
+const videoKeyFor = (extension) => {
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9)
+  return `videos/video-${uniqueSuffix}${extension}`
+}
+
+// Hand a fully received upload to the storage driver
+const storeUpload = (session, videoKey) =>
+  storage.putFile(videoKey, tempPathFor(session))
+
+const discardUpload = async (session) => {
+  await removeFile(tempPathFor(session))
+  await UploadSession.deleteOne({ _id: session._id })
+}
+
+// Delete expired sessions with their partial files, plus temp files that
+// no longer belong to any session
+const cleanupStaleUploads = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } })
+  for (const session of expired) {
+    await discardUpload(session)
+  }
+
+  let orphaned = 0
+  const files = await fs.promises.readdir(UPLOAD_TMP_DIR).catch(() => [])
+  const ids = files
+    .filter((file) => /^[a-f0-9]{24}\.part$/.test(file))
+    .map((file) => path.basename(file, ".part"))
+  const known = new Set(
+    (await UploadSession.find({ _id: { $in: ids } }).distinct("_id")).map(
+      (id) => id.toString()
+    )
+  )
+
+  for (const id of ids) {
+    if (known.has(id)) continue
+    const filePath = path.join(UPLOAD_TMP_DIR, `${id}.part`)
+    const stats = await fs.promises.stat(filePath).catch(() => null)
+    // Leave very fresh files alone; their session may still be saving
+    if (stats && Date.now() - stats.mtimeMs > CHUNK_LOCK_TIMEOUT) {
+      await removeFile(filePath)
+      orphaned++
+    }
+  }
+
+  if (expired.length || orphaned) {
+    console.log(
+      `🧹 Removed ${expired.length} stale upload(s) and ${orphaned} orphaned file(s)`
+    )
+  }
+}
+
+const startUploadCleanup = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    cleanupStaleUploads().catch((error) =>
+      console.log("❌ Upload cleanup failed:", error.message)
+    )
+  }, intervalMs)
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_ACTIVE_UPLOADS,
+  VIDEO_EXTENSIONS,
+  CHUNK_CONTENT_TYPES,
+  nextExpiry,
+  tempPathFor,
+  createTempFile,
+  claimChunkLock,
+  appendChunk,
+  videoKeyFor,
+  storeUpload,
+  discardUpload,
+  cleanupStaleUploads,
+  startUploadCleanup,
+}
@@ -0,0 +1,46 @@
+// Create an admin account, or promote an existing user to admin.
+// Usage: npm run create-admin -- <email> [name] [password]
+require("dotenv").config()
+const mongoose = require("mongoose")
+const bcrypt = require("bcryptjs")
+const { User } = require("../models")
+
+const [email, name, password] = process.argv.slice(2)
+
+const run = async () => {
+  if (!email) {
+    console.log("Usage: npm run create-admin -- <email> [name] [password]")
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const existingUser = await User.findOne({ email })
+  if (existingUser) {
+    existingUser.role = "admin"
+    await existingUser.save()
+    console.log(`✅ Promoted ${email} to admin`)
+  } else {
+    if (!name || !password) {
+      console.log("❌ Name and password are required for a new admin")
+      process.exit(1)
+    }
+
+    await User.create({
+      name,
+      email,
+      password: await bcrypt.hash(password, 10),
+      role: "admin",
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    })
+    console.log(`✅ Created admin ${email}`)
+  }
+
+  await mongoose.disconnect()
+}
+
+run().catch((error) => {
+  console.log("❌ Admin creation failed:", error.message)
+  process.exit(1)
+})
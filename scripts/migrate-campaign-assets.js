@@ -0,0 +1,51 @@
+// Move each campaign's single asset (assetKey, assetSha256) into the assets
+// gallery as its first entry. Run migrate-storage-keys first on databases
+// that still store assetPath.
+// Usage: npm run migrate-campaign-assets
+require("dotenv").config()
+const mongoose = require("mongoose")
+const { Campaign } = require("../models")
+const { FORMATS } = require("../uploadSafety")
+
+// Best guess from the stored extension, which came from the detected format
+const mimeTypeFor = (key) => {
+  const extension = key.slice(key.lastIndexOf(".")).toLowerCase()
+  const format = Object.values(FORMATS).find(
+    (candidate) => candidate.extension === extension
+  )
+  return format?.mimeType
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const docs = await Campaign.collection
+    .find({ assetKey: { $exists: true } })
+    .toArray()
+
+  for (const doc of docs) {
+    const update = { $unset: { assetKey: "", assetSha256: "" } }
+    if (doc.assetKey && !doc.assets?.length) {
+      const asset = {
+        _id: new mongoose.Types.ObjectId(),
+        key: doc.assetKey,
+        sha256: doc.assetSha256,
+        mimeType: mimeTypeFor(doc.assetKey),
+        label: "",
+        createdAt: doc.createdAt,
+        updatedAt: doc.createdAt,
+      }
+      update.$set = { assets: [asset] }
+    }
+    await Campaign.collection.updateOne({ _id: doc._id }, update)
+  }
+
+  console.log(`✅ Migrated ${docs.length} Campaign document(s)`)
+
+  await mongoose.disconnect()
+}
+
+run().catch((error) => {
+  console.log("❌ Campaign asset migration failed:", error.message)
+  process.exit(1)
+})
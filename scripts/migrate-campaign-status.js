@@ -0,0 +1,23 @@
+// Campaigns created before lifecycle states existed have no status and would
+// never be matched again. Mark them active, keeping their open-ended schedule.
+// Usage: npm run migrate-campaign-status
+require("dotenv").config()
+const mongoose = require("mongoose")
+const { Campaign } = require("../models")
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const { modifiedCount } = await Campaign.collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "active" } }
+  )
+  console.log(`✅ Marked ${modifiedCount} campaign(s) as active`)
+
+  await mongoose.disconnect()
+}
+
+run().catch((error) => {
+  console.log("❌ Campaign status migration failed:", error.message)
+  process.exit(1)
+})
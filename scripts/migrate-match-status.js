@@ -0,0 +1,44 @@
+// Move matches from the old pending/accepted/rejected statuses to the
+// two-sided lifecycle, then recompute every video's status from its
+// matches. Accepted matches count as confirmed, or completed once a
+// deliverable was approved. Safe to run more than once.
+// Usage: npm run migrate-match-status
+require("dotenv").config()
+const mongoose = require("mongoose")
+const { Video, Match, Deliverable } = require("../models")
+const { refreshVideoStatus } = require("../matches")
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const completedIds = await Deliverable.find({ status: "approved" }).distinct(
+    "matchId"
+  )
+  const changes = [
+    [{ status: "accepted", _id: { $in: completedIds } }, "completed"],
+    [{ status: "accepted" }, "confirmed"],
+    [{ status: "pending" }, "proposed"],
+    [{ status: "rejected" }, "declined"],
+  ]
+  for (const [filter, status] of changes) {
+    // The old values fail schema validation, so bypass the model
+    const { modifiedCount } = await Match.collection.updateMany(filter, {
+      $set: { status },
+    })
+    console.log(`✅ Moved ${modifiedCount} match(es) to ${status}`)
+  }
+
+  let videos = 0
+  for await (const video of Video.find().select("_id").cursor()) {
+    await refreshVideoStatus(video._id)
+    videos++
+  }
+  console.log(`✅ Recomputed the status of ${videos} video(s)`)
+
+  await mongoose.disconnect()
+}
+
+run().catch((error) => {
+  console.log("❌ Match status migration failed:", error.message)
+  process.exit(1)
+})
@@ -0,0 +1,82 @@
+// Convert stored file paths (uploads/videos/x.mp4) into storage keys
+// (videos/x.mp4): videoPath -> videoKey, thumbnailPath -> thumbnailKey,
+// assetPath -> assetKey. With --copy-files, also copy the files from the
+// local uploads directory into the configured storage driver, e.g. when
+// moving to S3.
+// Usage: npm run migrate-storage-keys -- [--copy-files]
+require("dotenv").config()
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+const { Video, Campaign } = require("../models")
+const { storage, TMP_DIR, tempPath, LocalStorage } = require("../storage")
+
+const uploadsDir = path.join(__dirname, "..", "uploads")
+// The default local driver already reads uploads/ directly
+const storesInUploadsDir =
+  storage instanceof LocalStorage && storage.root === path.resolve(uploadsDir)
+const copyFiles = process.argv.includes("--copy-files") && !storesInUploadsDir
+
+const toKey = (filePath) =>
+  filePath ? filePath.replace(/\\/g, "/").replace(/^\.?\/?uploads\//, "") : null
+
+// Copy one legacy file into storage, keeping the original in place
+const copyIntoStorage = async (key) => {
+  const source = path.join(uploadsDir, ...key.split("/"))
+  if (!fs.existsSync(source)) {
+    console.log(`⚠️ Missing file, not copied: ${source}`)
+    return
+  }
+  await fs.promises.mkdir(TMP_DIR, { recursive: true })
+  const staged = tempPath(key)
+  await fs.promises.copyFile(source, staged)
+  await storage.putFile(key, staged)
+}
+
+// Rename the legacy fields on every document of one collection
+const migrateCollection = async (Model, fields) => {
+  const legacyFilter = {
+    $or: Object.keys(fields).map((field) => ({ [field]: { $exists: true } })),
+  }
+  const docs = await Model.collection.find(legacyFilter).toArray()
+
+  for (const doc of docs) {
+    const set = {}
+    const unset = {}
+    for (const [oldField, newField] of Object.entries(fields)) {
+      if (!(oldField in doc)) continue
+      set[newField] = toKey(doc[oldField])
+      unset[oldField] = ""
+      if (copyFiles && set[newField]) {
+        await copyIntoStorage(set[newField])
+      }
+    }
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      { $set: set, $unset: unset }
+    )
+  }
+
+  console.log(`✅ Migrated ${docs.length} ${Model.modelName} document(s)`)
+}
+
+const run = async () => {
+  if (process.argv.includes("--copy-files") && storesInUploadsDir) {
+    console.log("ℹ️ Storage already reads uploads/ directly, nothing to copy")
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  await migrateCollection(Video, {
+    videoPath: "videoKey",
+    thumbnailPath: "thumbnailKey",
+  })
+  await migrateCollection(Campaign, { assetPath: "assetKey" })
+
+  await mongoose.disconnect()
+}
+
+run().catch((error) => {
+  console.log("❌ Storage key migration failed:", error.message)
+  process.exit(1)
+})
@@ -0,0 +1,70 @@
+// Rewrite free-text genres, tones and categories to their canonical taxonomy
+// values. Values that match nothing are left untouched and listed at the end,
+// so they can be added as synonyms or fixed by hand.
+// Usage: npm run migrate-taxonomy -- [--dry-run]
+require("dotenv").config()
+const mongoose = require("mongoose")
+const { Video, Campaign, UploadSession } = require("../models")
+const { FIELD_TYPES, normalizeTerm, loadTaxonomy } = require("../taxonomy")
+
+const dryRun = process.argv.includes("--dry-run")
+
+// "Model.field: value" -> number of documents that could not be mapped
+const unmapped = new Map()
+
+const migrateCollection = async (Model, fields) => {
+  let updated = 0
+
+  const cursor = Model.find().select(fields.join(" ")).lean().cursor()
+  for await (const doc of cursor) {
+    const set = {}
+    for (const field of fields) {
+      const current = doc[field]
+      if (current === undefined || current === null) continue
+
+      const canonical = normalizeTerm(FIELD_TYPES[field], current)
+      if (!canonical) {
+        const label = `${Model.modelName}.${field}: ${JSON.stringify(current)}`
+        unmapped.set(label, (unmapped.get(label) || 0) + 1)
+      } else if (canonical !== current) {
+        set[field] = canonical
+      }
+    }
+
+    if (Object.keys(set).length) {
+      updated++
+      if (!dryRun) {
+        await Model.updateOne({ _id: doc._id }, { $set: set })
+      }
+    }
+  }
+
+  console.log(
+    `✅ ${dryRun ? "Would update" : "Updated"} ${updated} ${
+      Model.modelName
+    } document(s)`
+  )
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+  await loadTaxonomy()
+
+  await migrateCollection(Video, ["genre", "tone"])
+  await migrateCollection(Campaign, ["category"])
+  await migrateCollection(UploadSession, ["genre", "tone"])
+
+  if (unmapped.size) {
+    console.log("⚠️ Values not in the taxonomy (left unchanged):")
+    for (const [label, count] of unmapped) {
+      console.log(`   ${label} x${count}`)
+    }
+  }
+
+  await mongoose.disconnect()
+}
+
+run().catch((error) => {
+  console.log("❌ Taxonomy migration failed:", error.message)
+  process.exit(1)
+})
@@ -3,40 +3,209 @@ const express = require("express")
 const mongoose = require("mongoose")
 const cors = require("cors")
 const bcrypt = require("bcryptjs")
-const jwt = require("jsonwebtoken")
 const path = require("path")
+const fs = require("fs")
 
-const { User, Video, Campaign, Match, Chat, Message } = require("./models")
+const {
+  User,
+  Video,
+  Campaign,
+  Match,
+  Chat,
+  Message,
+  Organization,
+  Invitation,
+  ApiKey,
+  AuditEvent,
+  UploadSession,
+  Deliverable,
+  Offer,
+  Collaboration,
+  LedgerTransaction,
+  TaxonomyTerm,
+} = require("./models")
 const {
   authenticateToken,
   requireRole,
+  requireScope,
   uploadVideo,
   uploadAsset,
+  uploadAssets,
+  uploadDeliverable,
 } = require("./middleware")
 const geminiService = require("./gemini")
+const { snapshot, recordAudit } = require("./audit")
+const {
+  authLimiter,
+  refreshLimiter,
+  aiMatchLimiter,
+  chatMessageLimiter,
+} = require("./rateLimit")
+const {
+  buildTokenResponse,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  issueUserToken,
+  consumeUserToken,
+  generateToken,
+  hashToken,
+  API_KEY_SCOPES,
+  generateApiKey,
+} = require("./tokens")
+const mailer = require("./mailer")
+const {
+  ORG_ROLE_RANK,
+  INVITATION_TTL,
+  getMembership,
+  marketerScope,
+  isInScope,
+  hasOrgRole,
+} = require("./organizations")
+const {
+  createSignedUrl,
+  verifySignedUrl,
+  mediaKey,
+  sendMediaFile,
+} = require("./media")
+const {
+  probeVideo,
+  generateThumbnail,
+  thumbnailKeyFor,
+} = require("./mediaProbe")
+const { storage, tempPath } = require("./storage")
+const { parsePagination, parseOffsetPagination } = require("./pagination")
+const {
+  OTHER_SIDE,
+  negotiationBlocker,
+  creatorBudgetError,
+  parseOffer,
+} = require("./offers")
+const {
+  MATCH_STATUSES,
+  NEGOTIATING_MATCH_STATUSES,
+  AGREED_MATCH_STATUSES,
+  transitionError,
+  refreshVideoStatus,
+  countMatchesByStatus,
+  committedBudget,
+} = require("./matches")
+const {
+  MILESTONE_STATUSES,
+  parseCollaborationPlan,
+  parseDueAt,
+  isMilestoneOverdue,
+  overdueCollaborationFilter,
+  startCollaborationScheduler,
+} = require("./collaborations")
+const { paymentProvider } = require("./payments")
+const {
+  toMinor,
+  toMajor,
+  recordDeposit,
+  recordPayout,
+  markPayoutPaid,
+  reversePayout,
+  holdEscrow,
+  escrowAccountFor,
+  releaseEscrow,
+  refundEscrow,
+  balancesFor,
+} = require("./ledger")
+const {
+  CAMPAIGN_STATUSES,
+  MAX_CAMPAIGN_ASSETS,
+  canTransition,
+  parseAmount,
+  parseCampaignTerms,
+  parseTargeting,
+  targetingExclusion,
+  scoreExclusion,
+  eligibleCampaignFilter,
+  campaignIneligibility,
+  startCampaignScheduler,
+} = require("./campaigns")
+const { inspectUpload, hashFile, quarantineFile } = require("./uploadSafety")
+const {
+  TAXONOMY_TYPES,
+  FIELD_TYPES,
+  descendantsOf,
+  normalizeFields,
+  listTaxonomy,
+  loadTaxonomy,
+  startTaxonomyRefresh,
+  parseTaxonomyTerm,
+  termDeletionBlocker,
+} = require("./taxonomy")
+const {
+  MAX_UPLOAD_BYTES,
+  MAX_ACTIVE_UPLOADS,
+  VIDEO_EXTENSIONS,
+  CHUNK_CONTENT_TYPES,
+  nextExpiry,
+  tempPathFor,
+  createTempFile,
+  claimChunkLock,
+  appendChunk,
+  videoKeyFor,
+  storeUpload,
+  discardUpload,
+  startUploadCleanup,
+} = require("./resumableUploads")
+const {
+  isPlainObject,
+  string,
+  requiredString,
+  url,
+  integer,
+  number,
+  arrayOf,
+  oneOf,
+  pattern,
+  validatePatch,
+} = require("./validators")
 
 const app = express()
 
-// Middleware
-app.use(cors())
-app.use(express.json())
+// Needed behind a reverse proxy so req.ip (used for rate limiting) is the
+// client's. Accepts a hop count, "true", or a list of proxy addresses.
+const { TRUST_PROXY } = process.env
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY)
+      ? parseInt(TRUST_PROXY, 10)
+      : TRUST_PROXY === "true" || TRUST_PROXY
+  )
+}
 
-// Authenticated static file serving
-app.use(
-  "/assets",
-  // authenticateToken,
-  express.static(path.join(__dirname, "uploads", "assets"))
-)
+// Middleware
 app.use(
-  "/videos",
-  // authenticateToken,
-  express.static(path.join(__dirname, "uploads", "videos"))
+  cors({
+    exposedHeaders: [
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+      "Location",
+      "Upload-Offset",
+      "Upload-Length",
+    ],
+  })
 )
+app.use(express.json())
 
 // MongoDB connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("✅ Connected to MongoDB"))
+  .then(() => {
+    console.log("✅ Connected to MongoDB")
+    startTaxonomyRefresh()
+    startUploadCleanup()
+    startCampaignScheduler()
+    startCollaborationScheduler()
+  })
   .catch((err) => console.log("❌ MongoDB connection error:", err))
 
 // Utility functions
@@ -48,36 +217,293 @@ const logRequest = (req, res, next) => {
   next()
 }
 
+// Profile fields both sides are allowed to see
+const formatProfileData = (user) => ({
+  bio: user.bio,
+  avatarUrl: user.avatarUrl,
+  ...(user.role === "creator" && { creatorProfile: user.creatorProfile || {} }),
+  ...(user.role === "marketer" && {
+    marketerProfile: user.marketerProfile || {},
+  }),
+})
+
 const formatUserData = (user) => ({
   id: user._id,
   name: user.name,
   email: user.email,
   role: user.role,
+  emailVerified: user.emailVerified,
+  ...formatProfileData(user),
+})
+
+// Public view of another user: no email, verification or account details
+const formatPublicUserData = (user) => ({
+  id: user._id,
+  name: user.name,
+  role: user.role,
+  ...formatProfileData(user),
+  memberSince: user.createdAt,
+})
+
+const formatAdminUserData = (user) => ({
+  ...formatUserData(user),
+  status: user.status,
+  suspendedAt: user.suspendedAt,
+  suspensionReason: user.suspensionReason,
+  createdAt: user.createdAt,
+})
+
+const formatAuditEventData = (event) => ({
+  id: event._id,
+  actor: event.actorId
+    ? {
+        id: event.actorId._id || event.actorId,
+        name: event.actorId.name,
+        email: event.actorId.email,
+        role: event.actorRole,
+      }
+    : null,
+  actorType: event.actorType,
+  apiKeyId: event.apiKeyId,
+  action: event.action,
+  targetType: event.targetType,
+  targetId: event.targetId,
+  before: event.before,
+  after: event.after,
+  diff: event.diff,
+  metadata: event.metadata,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  createdAt: event.createdAt,
+})
+
+// Remove a stored file; failures are logged so cleanup never breaks a request
+const removeStoredFile = async (key) => {
+  if (!key) return
+  try {
+    await storage.delete(key)
+  } catch (error) {
+    console.log("⚠️ Could not remove file:", key, error.message)
+  }
+}
+
+// Probe a local copy of an uploaded video. Files whose container cannot be
+// parsed still upload, with only their size recorded.
+const readVideoMedia = async (localPath) => {
+  try {
+    return await probeVideo(localPath)
+  } catch (error) {
+    console.log("⚠️ Video metadata extraction failed:", error.message)
+    const { size } = await fs.promises.stat(localPath)
+    return { sizeBytes: size }
+  }
+}
+
+// Probe an uploaded video and store a poster frame for it
+const extractVideoMedia = async (localPath, videoKey) => {
+  const media = await readVideoMedia(localPath)
+
+  const thumbnailKey = thumbnailKeyFor(videoKey)
+  const thumbnailFile = tempPath(path.posix.basename(thumbnailKey))
+  const generated = await generateThumbnail(
+    localPath,
+    thumbnailFile,
+    media.durationSeconds
+  )
+  if (!generated) {
+    return { media, thumbnailKey: null }
+  }
+
+  await storage.putFile(thumbnailKey, thumbnailFile)
+  return { media, thumbnailKey }
+}
+
+// Accepts a populated document or a raw ObjectId
+const idOf = (ref) => (ref?._id || ref).toString()
+
+// Media access: owners and admins always, the other side once a match exists
+const canAccessVideo = async (user, video) => {
+  if (user.role === "admin") return true
+  if (idOf(video.creatorId) === user._id.toString()) return true
+  if (user.role !== "marketer") return false
+
+  const campaignIds = await Campaign.find(await marketerScope(user)).distinct(
+    "_id"
+  )
+  return Boolean(
+    await Match.exists({ videoId: video._id, campaignId: { $in: campaignIds } })
+  )
+}
+
+const canAccessCampaignAsset = async (user, campaign) => {
+  if (user.role === "admin") return true
+  if (user.role === "marketer") {
+    return isInScope(campaign, await marketerScope(user))
+  }
+  if (user.role !== "creator") return false
+
+  const videoIds = await Video.find({ creatorId: user._id }).distinct("_id")
+  return Boolean(
+    await Match.exists({ campaignId: campaign._id, videoId: { $in: videoIds } })
+  )
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Comma-separated query parameter -> list of values
+const queryList = (value) =>
+  typeof value === "string"
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : []
+
+// Filter on taxonomy-backed fields from comma-separated query values. A term
+// also matches the terms below it, e.g. genre=lifestyle includes food.
+const taxonomyFilter = (query, fields, errors) => {
+  const filter = {}
+  for (const field of fields) {
+    const values = []
+    for (const input of queryList(query[field])) {
+      const taxonomy = normalizeFields({ [field]: input })
+      errors.push(...taxonomy.errors)
+      if (taxonomy.values[field]) {
+        values.push(
+          ...descendantsOf(FIELD_TYPES[field], taxonomy.values[field])
+        )
+      }
+    }
+    if (values.length) filter[field] = { $in: [...new Set(values)] }
+  }
+  return filter
+}
+
+// Filter on an enum field from comma-separated query values
+const enumFilter = (query, field, allowed, errors) => {
+  const values = queryList(query[field])
+  const error = arrayOf(oneOf(allowed), allowed.length)(values, field)
+  if (error) errors.push(error)
+  return values.length ? { [field]: { $in: values } } : {}
+}
+
+// "true"/"false" query parameter -> boolean filter
+const booleanFilter = (query, param, field, errors) => {
+  const value = query[param]
+  if (value === undefined) return {}
+  if (value !== "true" && value !== "false") {
+    errors.push(`${param} must be true or false`)
+    return {}
+  }
+  return { [field]: value === "true" }
+}
+
+const AGE_RANGES = ["13-17", "18-24", "25-34", "35-44", "45-54", "55-64", "65+"]
+const socialHandle = pattern(
+  /^@?[A-Za-z0-9_.-]{1,50}$/,
+  "a handle of letters, numbers, dots, dashes or underscores"
+)
+
+// Fields each role may change through PATCH /api/auth/me
+const profileUpdateShape = (role) => ({
+  name: requiredString(100),
+  bio: string(1000),
+  avatarUrl: url,
+  ...(role === "creator" && {
+    creatorProfile: {
+      niche: string(100),
+      audienceSize: integer(0),
+      demographics: {
+        ageRanges: arrayOf(oneOf(AGE_RANGES), AGE_RANGES.length),
+        topCountries: arrayOf(
+          pattern(/^[A-Z]{2}$/, "an ISO 3166-1 alpha-2 country code"),
+          10
+        ),
+        genderSplit: {
+          female: number(0, 100),
+          male: number(0, 100),
+          other: number(0, 100),
+        },
+      },
+      socialHandles: {
+        youtube: socialHandle,
+        instagram: socialHandle,
+        tiktok: socialHandle,
+        twitter: socialHandle,
+      },
+    },
+  }),
+  ...(role === "marketer" && {
+    marketerProfile: {
+      companyName: string(200),
+      website: url,
+      industry: string(100),
+    },
+  }),
 })
 
+// Mail failures are logged but never fail the request that triggered them
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await issueUserToken(user, "email-verification")
+    await mailer.sendVerificationEmail(user, token)
+  } catch (error) {
+    console.log("❌ Verification email failed:", error.message)
+  }
+}
+
 const formatVideoData = (video) => ({
   id: video._id,
   title: video.title,
   genre: video.genre,
   tone: video.tone,
-  videoPath: video.videoPath,
+  videoKey: video.videoKey,
+  sha256: video.sha256,
+  media: video.media?.toObject ? video.media.toObject() : video.media || {},
+  hasThumbnail: Boolean(video.thumbnailKey),
   creatorId: video.creatorId,
   creatorName: video.creatorId?.name || "Unknown",
   status: video.status,
   createdAt: video.createdAt,
 })
 
+const formatCampaignAssetData = (asset) => ({
+  id: asset._id,
+  key: asset.key,
+  sha256: asset.sha256,
+  mimeType: asset.mimeType,
+  label: asset.label,
+  createdAt: asset.createdAt,
+})
+
 const formatCampaignData = (campaign) => ({
   id: campaign._id,
   productName: campaign.productName,
   category: campaign.category,
   description: campaign.description,
-  assetPath: campaign.assetPath,
+  assets: (campaign.assets || []).map(formatCampaignAssetData),
   marketerId: campaign.marketerId,
   marketerName: campaign.marketerId?.name || "Unknown",
+  organizationId: campaign.organizationId,
+  status: campaign.status,
+  startsAt: campaign.startsAt,
+  endsAt: campaign.endsAt,
+  completedAt: campaign.completedAt,
+  budget: campaign.budget?.toObject
+    ? campaign.budget.toObject()
+    : campaign.budget || {},
   createdAt: campaign.createdAt,
 })
 
+// Campaign as its own marketers see it. Targeting stays private because
+// it names the creators a campaign allows or blocks.
+const formatOwnCampaignData = (campaign) => ({
+  ...formatCampaignData(campaign),
+  targeting: campaign.targeting?.toObject
+    ? campaign.targeting.toObject()
+    : campaign.targeting || {},
+})
+
 const formatMatchData = (match) => ({
   id: match._id,
   videoId: match.videoId,
@@ -85,17 +511,126 @@ const formatMatchData = (match) => ({
   matchScore: match.matchScore,
   reasoning: match.reasoning,
   status: match.status,
+  isStale: match.isStale,
+  archivedAt: match.archivedAt,
+  agreedTerms: match.agreedTerms?.toObject
+    ? match.agreedTerms.toObject()
+    : match.agreedTerms || null,
   video: match.videoId ? formatVideoData(match.videoId) : null,
   campaign: match.campaignId ? formatCampaignData(match.campaignId) : null,
   createdAt: match.createdAt,
 })
 
+const formatDeliverableData = (deliverable) => ({
+  id: deliverable._id,
+  matchId: deliverable.matchId,
+  version: deliverable.version,
+  videoKey: deliverable.videoKey,
+  sha256: deliverable.sha256,
+  media: deliverable.media?.toObject
+    ? deliverable.media.toObject()
+    : deliverable.media || {},
+  notes: deliverable.notes,
+  submittedBy: deliverable.submittedBy,
+  status: deliverable.status,
+  reviewComment: deliverable.reviewComment,
+  reviewedBy: deliverable.reviewedBy,
+  reviewedAt: deliverable.reviewedAt,
+  createdAt: deliverable.createdAt,
+})
+
+const formatCollaborationUpdate = (update) => ({
+  id: update._id,
+  authorId: update.authorId,
+  side: update.side,
+  message: update.message,
+  milestoneId: update.milestoneId,
+  createdAt: update.createdAt,
+})
+
+const formatCollaborationData = (collaboration) => {
+  const now = new Date()
+  const milestones = collaboration.milestones.map((milestone) => ({
+    id: milestone._id,
+    type: milestone.type,
+    title: milestone.title,
+    dueAt: milestone.dueAt,
+    owner: milestone.owner,
+    status: milestone.status,
+    completedAt: milestone.completedAt,
+    overdueSince: milestone.overdueSince,
+    isOverdue: isMilestoneOverdue(milestone, now),
+  }))
+  const openDueDates = milestones
+    .filter((milestone) => milestone.status !== "done")
+    .map((milestone) => milestone.dueAt)
+
+  return {
+    id: collaboration._id,
+    matchId: collaboration.matchId,
+    campaignId: collaboration.campaignId,
+    videoId: collaboration.videoId,
+    creatorId: collaboration.creatorId,
+    createdBy: collaboration.createdBy,
+    deliverables: collaboration.deliverables.map((deliverable) => ({
+      id: deliverable._id,
+      title: deliverable.title,
+      description: deliverable.description,
+      dueAt: deliverable.dueAt,
+    })),
+    milestones,
+    updates: collaboration.updates.map(formatCollaborationUpdate),
+    status: collaboration.status,
+    completedAt: collaboration.completedAt,
+    isOverdue: milestones.some((milestone) => milestone.isOverdue),
+    nextDueAt: openDueDates.length ? new Date(Math.min(...openDueDates)) : null,
+    createdAt: collaboration.createdAt,
+  }
+}
+
+const formatLedgerTransactionData = (transaction) => ({
+  id: transaction._id,
+  type: transaction.type,
+  currency: transaction.currency,
+  amount: toMajor(transaction.amount),
+  entries: transaction.entries.map((entry) => ({
+    account: entry.account,
+    direction: entry.direction,
+    amount: toMajor(entry.amount),
+  })),
+  matchId: transaction.matchId,
+  provider: transaction.provider,
+  providerReference: transaction.providerReference,
+  status: transaction.status,
+  memo: transaction.memo,
+  createdAt: transaction.createdAt,
+})
+
+const formatOfferData = (offer) => ({
+  id: offer._id,
+  matchId: offer.matchId,
+  round: offer.round,
+  amount: offer.amount,
+  currency: offer.currency,
+  terms: offer.terms,
+  proposedBy: offer.proposedBy,
+  side: offer.side,
+  counterOf: offer.counterOf,
+  status: offer.status,
+  respondedBy: offer.respondedBy,
+  respondedAt: offer.respondedAt,
+  createdAt: offer.createdAt,
+})
+
 app.use(logRequest)
 
 // ==================== AUTHENTICATION ROUTES ====================
 
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || "5", 10)
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || "15", 10)
+
 // Register
-app.post("/api/auth/register", async (req, res) => {
+app.post("/api/auth/register", authLimiter, async (req, res) => {
   try {
     const { name, email, password, role } = req.body
 
@@ -132,15 +667,22 @@ app.post("/api/auth/register", async (req, res) => {
     await user.save()
     console.log("✅ User registration successful")
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "24h",
+    await recordAudit(req, {
+      action: "user.register",
+      targetType: "User",
+      after: user,
+      actor: user,
     })
 
+    await sendVerificationEmail(user)
+
+    const { tokens } = await createSession(user, req)
+
     res.status(201).json({
       success: true,
       data: {
         user: formatUserData(user),
-        token,
+        ...tokens,
       },
       message: "User registered successfully",
     })
@@ -154,7 +696,7 @@ app.post("/api/auth/register", async (req, res) => {
 })
 
 // Login
-app.post("/api/auth/login", async (req, res) => {
+app.post("/api/auth/login", authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body
 
@@ -173,25 +715,90 @@ app.post("/api/auth/login", async (req, res) => {
       })
     }
 
+    // Locked accounts are rejected before the password is even checked
+    if (user.lockUntil && user.lockUntil > new Date()) {
+      res.setHeader(
+        "Retry-After",
+        Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)
+      )
+      return res.status(423).json({
+        success: false,
+        message:
+          "Account temporarily locked after too many failed login attempts",
+      })
+    }
+
     const isMatch = await bcrypt.compare(password, user.password)
     if (!isMatch) {
+      // Counted atomically so parallel guesses cannot lose increments
+      const counted = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+      )
+      // Only one of several requests crossing the limit sets the lock
+      const locked =
+        counted.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS
+          ? await User.findOneAndUpdate(
+              {
+                _id: user._id,
+                failedLoginAttempts: { $gte: LOGIN_MAX_ATTEMPTS },
+              },
+              {
+                failedLoginAttempts: 0,
+                lockUntil: new Date(
+                  Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000
+                ),
+              },
+              { new: true }
+            )
+          : null
+      if (locked) {
+        console.log("🔒 Account locked after repeated failed logins")
+      }
+
+      await recordAudit(req, {
+        action: locked ? "auth.lockout" : "auth.login_failed",
+        targetType: "User",
+        targetId: user._id,
+        metadata: locked ? { lockUntil: locked.lockUntil } : undefined,
+      })
+
       return res.status(400).json({
         success: false,
         message: "Invalid credentials",
       })
     }
 
+    if (user.failedLoginAttempts || user.lockUntil) {
+      user.failedLoginAttempts = 0
+      user.lockUntil = undefined
+      await user.save()
+    }
+
+    if (user.status === "suspended") {
+      return res.status(403).json({
+        success: false,
+        message: "Account suspended",
+      })
+    }
+
     console.log("✅ User login successful")
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "24h",
+    const { session, tokens } = await createSession(user, req)
+
+    await recordAudit(req, {
+      action: "auth.login",
+      targetType: "Session",
+      targetId: session._id,
+      actor: user,
     })
 
     res.json({
       success: true,
       data: {
         user: formatUserData(user),
-        token,
+        ...tokens,
       },
       message: "Login successful",
     })
@@ -204,409 +811,5905 @@ app.post("/api/auth/login", async (req, res) => {
   }
 })
 
-// Get current user
-app.get("/api/auth/me", authenticateToken, async (req, res) => {
+// Refresh access token (rotates the refresh token)
+app.post("/api/auth/refresh", refreshLimiter, async (req, res) => {
   try {
-    console.log("✅ User profile retrieved")
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      })
+    }
+
+    const rotated = await rotateSession(refreshToken)
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      })
+    }
+
+    const user = await User.findById(rotated.session.userId)
+    if (!user) {
+      await revokeSession(rotated.session._id, "user-missing")
+      return res.status(401).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (user.status === "suspended") {
+      await revokeSession(rotated.session._id, "suspended")
+      return res.status(403).json({
+        success: false,
+        message: "Account suspended",
+      })
+    }
+
+    console.log("✅ Access token refreshed")
+
+    await recordAudit(req, {
+      action: "auth.refresh",
+      targetType: "Session",
+      targetId: rotated.session._id,
+      actor: user,
+    })
+
     res.json({
       success: true,
       data: {
-        user: formatUserData(req.user),
+        user: formatUserData(user),
+        ...buildTokenResponse(user, rotated.session, rotated.nextToken),
       },
-      message: "User profile retrieved successfully",
+      message: "Token refreshed successfully",
     })
   } catch (error) {
-    console.log("❌ Profile retrieval failed:", error.message)
+    console.log("❌ Token refresh failed:", error.message)
     res.status(500).json({
       success: false,
-      message: "Profile retrieval failed",
+      message: "Token refresh failed",
     })
   }
 })
 
-// ==================== VIDEO ROUTES (CREATOR) ====================
+// Logout current device, or every device with { "allDevices": true }
+app.post("/api/auth/logout", authenticateToken, async (req, res) => {
+  try {
+    const allDevices = req.body.allDevices === true
 
-// Upload video
-app.post(
-  "/api/videos/upload",
-  authenticateToken,
-  requireRole("creator"),
-  (req, res) => {
-    uploadVideo(req, res, async (err) => {
-      if (err) {
-        console.log("❌ Video upload failed:", err.message)
-        return res.status(400).json({
-          success: false,
-          message: err.message,
-        })
-      }
+    if (allDevices) {
+      await revokeAllSessions(req.user._id)
+    } else {
+      await revokeSession(req.session._id)
+    }
 
-      try {
-        const { title, genre, tone } = req.body
+    await recordAudit(req, {
+      action: allDevices ? "auth.logout_all" : "auth.logout",
+      targetType: allDevices ? "User" : "Session",
+      targetId: allDevices ? req.user._id : req.session._id,
+    })
 
-        if (!title || !genre || !tone || !req.file) {
-          return res.status(400).json({
-            success: false,
-            message: "Title, genre, tone, and video file are required",
-          })
-        }
+    console.log(`✅ User logged out${allDevices ? " from all devices" : ""}`)
 
-        const video = new Video({
-          title,
-          genre,
-          tone,
-          videoPath: req.file.path.replace(/\\/g, "/"),
-          creatorId: req.user._id,
-        })
+    res.json({
+      success: true,
+      message: allDevices
+        ? "Logged out from all devices"
+        : "Logged out successfully",
+    })
+  } catch (error) {
+    console.log("❌ Logout failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "Logout failed",
+    })
+  }
+})
 
-        await video.save()
-        console.log("✅ Video upload successful")
+// Verify email address
+app.post("/api/auth/verify-email", authLimiter, async (req, res) => {
+  try {
+    const { token } = req.body
 
-        res.status(201).json({
-          success: true,
-          data: {
-            video: formatVideoData(video),
-          },
-          message: "Video uploaded successfully",
-        })
-      } catch (error) {
-        console.log("❌ Video upload failed:", error.message)
-        res.status(500).json({
-          success: false,
-          message: "Video upload failed",
-        })
-      }
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification token is required",
+      })
+    }
+
+    const userToken = await consumeUserToken(token, "email-verification")
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      })
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    )
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    await recordAudit(req, {
+      action: "user.verify_email",
+      targetType: "User",
+      targetId: user._id,
+      actor: user,
+    })
+
+    console.log("✅ Email verified")
+
+    res.json({
+      success: true,
+      data: {
+        user: formatUserData(user),
+      },
+      message: "Email verified successfully",
+    })
+  } catch (error) {
+    console.log("❌ Email verification failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "Email verification failed",
     })
   }
-)
+})
 
-// Get creator's videos
-app.get(
-  "/api/videos/my-videos",
+// Resend verification email
+app.post(
+  "/api/auth/resend-verification",
   authenticateToken,
-  requireRole("creator"),
   async (req, res) => {
     try {
-      const videos = await Video.find({ creatorId: req.user._id })
-        .populate("creatorId", "name")
-        .sort({ createdAt: -1 })
+      if (req.user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: "Email is already verified",
+        })
+      }
 
-      console.log("✅ Creator videos retrieved")
+      await sendVerificationEmail(req.user)
+
+      await recordAudit(req, {
+        action: "user.resend_verification",
+        targetType: "User",
+        targetId: req.user._id,
+      })
+
+      console.log("✅ Verification email resent")
 
       res.json({
         success: true,
-        data: {
-          videos: videos.map(formatVideoData),
-        },
-        message: "Videos retrieved successfully",
+        message: "Verification email sent",
       })
     } catch (error) {
-      console.log("❌ Videos retrieval failed:", error.message)
+      console.log("❌ Resending verification failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Videos retrieval failed",
+        message: "Resending verification failed",
       })
     }
   }
 )
 
-// ==================== CAMPAIGN ROUTES (MARKETER) ====================
+// Request password reset
+app.post("/api/auth/password-reset/request", authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body
 
-// Create campaign
-app.post(
-  "/api/campaigns/create",
-  authenticateToken,
-  requireRole("marketer"),
-  (req, res) => {
-    uploadAsset(req, res, async (err) => {
-      if (err) {
-        console.log("❌ Campaign creation failed:", err.message)
-        return res.status(400).json({
-          success: false,
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      })
+    }
+
+    // Respond identically whether or not the account exists
+    const user = await User.findOne({ email })
+    if (user) {
+      try {
+        const token = await issueUserToken(user, "password-reset")
+        await mailer.sendPasswordResetEmail(user, token)
+      } catch (error) {
+        console.log("❌ Password reset email failed:", error.message)
+      }
+
+      await recordAudit(req, {
+        action: "auth.password_reset_request",
+        targetType: "User",
+        targetId: user._id,
+      })
+    }
+
+    console.log("✅ Password reset requested")
+
+    res.json({
+      success: true,
+      message: "If that email is registered, a reset link has been sent",
+    })
+  } catch (error) {
+    console.log("❌ Password reset request failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "Password reset request failed",
+    })
+  }
+})
+
+// Confirm password reset
+app.post("/api/auth/password-reset/confirm", authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Token and new password are required",
+      })
+    }
+
+    const userToken = await consumeUserToken(token, "password-reset")
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      })
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10)
+    const user = await User.findByIdAndUpdate(userToken.userId, {
+      password: hashedPassword,
+      failedLoginAttempts: 0,
+      $unset: { lockUntil: "" },
+    })
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    // Sign out every device that used the old password
+    await revokeAllSessions(user._id, "password-reset")
+
+    await recordAudit(req, {
+      action: "auth.password_reset",
+      targetType: "User",
+      targetId: user._id,
+      actor: user,
+    })
+
+    console.log("✅ Password reset completed")
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in again.",
+    })
+  } catch (error) {
+    console.log("❌ Password reset failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "Password reset failed",
+    })
+  }
+})
+
+// Get current user
+app.get(
+  "/api/auth/me",
+  authenticateToken,
+  requireScope("profile:read"),
+  async (req, res) => {
+    try {
+      console.log("✅ User profile retrieved")
+      res.json({
+        success: true,
+        data: {
+          user: formatUserData(req.user),
+        },
+        message: "User profile retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Profile retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Profile retrieval failed",
+      })
+    }
+  }
+)
+
+// Update current user's profile
+app.patch("/api/auth/me", authenticateToken, async (req, res) => {
+  try {
+    const { errors, set, unset } = validatePatch(
+      profileUpdateShape(req.user.role),
+      req.body
+    )
+
+    if ("name" in unset) {
+      errors.push("name cannot be empty")
+    }
+
+    // Gender split is stored as percentages, so the merged result must fit 100%
+    const currentSplit =
+      req.user.creatorProfile?.demographics?.genderSplit || {}
+    const splitTotal = ["female", "male", "other"].reduce((sum, key) => {
+      const field = `creatorProfile.demographics.genderSplit.${key}`
+      if (field in unset) return sum
+      return sum + ((field in set ? set[field] : currentSplit[key]) || 0)
+    }, 0)
+    if (splitTotal > 100) {
+      errors.push("creatorProfile.demographics.genderSplit cannot exceed 100%")
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join("; "),
+      })
+    }
+
+    const update = {}
+    if (Object.keys(set).length) update.$set = set
+    if (Object.keys(unset).length) update.$unset = unset
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, {
+      new: true,
+      runValidators: true,
+    }).select("-password")
+
+    await recordAudit(req, {
+      action: "user.update_profile",
+      targetType: "User",
+      before: req.user,
+      after: user,
+    })
+
+    console.log("✅ User profile updated")
+
+    res.json({
+      success: true,
+      data: {
+        user: formatUserData(user),
+      },
+      message: "Profile updated successfully",
+    })
+  } catch (error) {
+    console.log("❌ Profile update failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "Profile update failed",
+    })
+  }
+})
+
+// ==================== USER PROFILE ROUTES ====================
+
+// Get a creator's or marketer's public profile
+app.get(
+  "/api/users/:id",
+  authenticateToken,
+  requireScope("profile:read"),
+  async (req, res) => {
+    try {
+      const { id } = req.params
+
+      const user = mongoose.isValidObjectId(id)
+        ? await User.findById(id).select("-password")
+        : null
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        })
+      }
+
+      const stats =
+        user.role === "creator"
+          ? { totalVideos: await Video.countDocuments({ creatorId: user._id }) }
+          : {
+              totalCampaigns: await Campaign.countDocuments({
+                marketerId: user._id,
+              }),
+            }
+
+      console.log("✅ Public profile retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          user: { ...formatPublicUserData(user), stats },
+        },
+        message: "User profile retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Public profile retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Public profile retrieval failed",
+      })
+    }
+  }
+)
+
+// ==================== TAXONOMY ROUTES ====================
+
+// List the allowed genres, tones and campaign categories
+app.get("/api/taxonomy", (req, res) => {
+  console.log("✅ Taxonomy retrieved")
+
+  res.json({
+    success: true,
+    data: listTaxonomy(),
+    message: "Taxonomy retrieved successfully",
+  })
+})
+
+// ==================== VIDEO ROUTES (CREATOR) ====================
+
+// Save a Video for a stored file, probing the local copy at localPath
+const createVideoFromFile = async (
+  creatorId,
+  { title, genre, tone },
+  { videoKey, localPath, sha256 }
+) => {
+  const { media, thumbnailKey } = await extractVideoMedia(localPath, videoKey)
+
+  const video = new Video({
+    title,
+    genre,
+    tone,
+    videoKey,
+    sha256,
+    media,
+    thumbnailKey,
+    creatorId,
+  })
+  await video.save()
+  return video
+}
+
+// Upload video
+app.post(
+  "/api/videos/upload",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:write"),
+  (req, res) => {
+    uploadVideo(req, res, async (err) => {
+      if (err) {
+        console.log("❌ Video upload failed:", err.message)
+        return res.status(400).json({
+          success: false,
           message: err.message,
         })
       }
 
       try {
-        const { productName, category, description } = req.body
+        const { title, genre, tone } = req.body
 
-        if (!productName || !category || !req.file) {
+        if (!title || !genre || !tone || !req.file) {
+          await removeStoredFile(req.file?.key)
           return res.status(400).json({
             success: false,
-            message: "Product name, category, and asset file are required",
+            message: "Title, genre, tone, and video file are required",
           })
         }
 
-        const campaign = new Campaign({
-          productName,
-          category,
-          description,
-          assetPath: req.file.path.replace(/\\/g, "/"),
-          marketerId: req.user._id,
-        })
+        const taxonomy = normalizeFields({ genre, tone })
+        if (taxonomy.errors.length) {
+          await removeStoredFile(req.file.key)
+          return res.status(400).json({
+            success: false,
+            message: taxonomy.errors.join("; "),
+          })
+        }
 
-        await campaign.save()
-        console.log("✅ Campaign creation successful")
+        const video = await storage.withLocalFile(req.file.key, (localPath) =>
+          createVideoFromFile(
+            req.user._id,
+            { title, ...taxonomy.values },
+            { videoKey: req.file.key, localPath, sha256: req.file.sha256 }
+          )
+        )
+        console.log("✅ Video upload successful")
+
+        await recordAudit(req, {
+          action: "video.upload",
+          targetType: "Video",
+          after: video,
+        })
 
         res.status(201).json({
           success: true,
           data: {
-            campaign: formatCampaignData(campaign),
+            video: formatVideoData(video),
           },
-          message: "Campaign created successfully",
+          message: "Video uploaded successfully",
         })
       } catch (error) {
-        console.log("❌ Campaign creation failed:", error.message)
+        console.log("❌ Video upload failed:", error.message)
         res.status(500).json({
           success: false,
-          message: "Campaign creation failed",
+          message: "Video upload failed",
         })
       }
     })
   }
 )
 
-// Get marketer's campaigns
+// Genre, tone and status filters shared by the video listings
+const videoListFilter = (query, errors) => ({
+  ...taxonomyFilter(query, ["genre", "tone"], errors),
+  ...enumFilter(
+    query,
+    "status",
+    Video.schema.path("status").enumValues,
+    errors
+  ),
+})
+
+const VIDEO_LIST_SORTS = {
+  newest: { field: "createdAt", order: -1, type: "date" },
+  oldest: { field: "createdAt", order: 1, type: "date" },
+  title: { field: "title", order: 1, type: "string" },
+}
+
+// Get creator's videos
 app.get(
-  "/api/campaigns/my-campaigns",
+  "/api/videos/my-videos",
   authenticateToken,
-  requireRole("marketer"),
+  requireRole("creator"),
+  requireScope("videos:read"),
   async (req, res) => {
     try {
-      const campaigns = await Campaign.find({ marketerId: req.user._id })
-        .populate("marketerId", "name")
-        .sort({ createdAt: -1 })
+      const page = parsePagination(req.query, VIDEO_LIST_SORTS, "newest")
+      const errors = [...page.errors]
+      const filter = videoListFilter(req.query, errors)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
 
-      console.log("✅ Marketer campaigns retrieved")
+      const videos = await Video.find(
+        page.where({ ...filter, creatorId: req.user._id })
+      )
+        .populate("creatorId", "name")
+        .sort(page.sort)
+        .limit(page.limit + 1)
+      const { items, nextCursor } = page.result(videos)
+
+      console.log("✅ Creator videos retrieved")
 
       res.json({
         success: true,
         data: {
-          campaigns: campaigns.map(formatCampaignData),
+          videos: items.map(formatVideoData),
+          nextCursor,
         },
-        message: "Campaigns retrieved successfully",
+        message: "Videos retrieved successfully",
       })
     } catch (error) {
-      console.log("❌ Campaigns retrieval failed:", error.message)
+      console.log("❌ Videos retrieval failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Campaigns retrieval failed",
+        message: "Videos retrieval failed",
       })
     }
   }
 )
 
-// ==================== MATCH ROUTES ====================
+// "relevance" is handled apart: text scores cannot be compared in a query,
+// so its cursor holds an offset instead
+const VIDEO_SEARCH_SORTS = {
+  newest: { field: "createdAt", order: -1, type: "date" },
+  oldest: { field: "createdAt", order: 1, type: "date" },
+  title: { field: "title", order: 1, type: "string" },
+  duration: { field: "media.durationSeconds", order: 1, type: "number" },
+}
 
-// Get creator's matches
+// Search videos for marketers. Comma-separated genre, tone and status
+// values match any of them; a genre also matches its sub-genres.
 app.get(
-  "/api/matches/my-matches",
+  "/api/videos/search",
   authenticateToken,
-  requireRole("creator"),
+  requireRole("marketer", "admin"),
+  requireScope("videos:read"),
   async (req, res) => {
     try {
-      const userVideos = await Video.find({ creatorId: req.user._id }).select(
-        "_id"
-      )
-      const videoIds = userVideos.map((v) => v._id)
+      const { q, creatorId, from, to, minDuration, maxDuration } = req.query
+      const search = typeof q === "string" ? q.trim() : ""
+      const sort = req.query.sort ?? (search ? "relevance" : "newest")
+      const relevance = sort === "relevance"
+
+      const errors = []
+      let page = null
+      if (relevance) {
+        if (!search) errors.push("sort relevance needs q")
+        page = parseOffsetPagination(req.query, "relevance")
+        errors.push(...page.errors)
+      } else if (VIDEO_SEARCH_SORTS[sort]) {
+        page = parsePagination(req.query, VIDEO_SEARCH_SORTS, "newest")
+        errors.push(...page.errors)
+      } else {
+        errors.push(
+          `sort must be one of: relevance, ${Object.keys(
+            VIDEO_SEARCH_SORTS
+          ).join(", ")}`
+        )
+      }
 
-      const matches = await Match.find({ videoId: { $in: videoIds } })
-        .populate({
-          path: "videoId",
-          populate: { path: "creatorId", select: "name" },
-        })
-        .populate({
-          path: "campaignId",
-          populate: { path: "marketerId", select: "name" },
+      const filter = videoListFilter(req.query, errors)
+
+      if (search) filter.$text = { $search: search }
+
+      if (creatorId) {
+        if (mongoose.isValidObjectId(creatorId)) {
+          filter.creatorId = creatorId
+        } else {
+          errors.push("creatorId must be a valid id")
+        }
+      }
+
+      if (from || to) {
+        filter.createdAt = {}
+        if (from) filter.createdAt.$gte = new Date(from)
+        if (to) filter.createdAt.$lte = new Date(to)
+        if (Object.values(filter.createdAt).some((d) => isNaN(d))) {
+          errors.push("from and to must be valid dates")
+        }
+      }
+
+      if (minDuration || maxDuration) {
+        const duration = {}
+        if (minDuration) duration.$gte = Number(minDuration)
+        if (maxDuration) duration.$lte = Number(maxDuration)
+        if (Object.values(duration).some((d) => !(d >= 0))) {
+          errors.push("minDuration and maxDuration must be seconds")
+        }
+        filter["media.durationSeconds"] = duration
+      }
+
+      // Cursors need the sort field on every video, so sorting by duration
+      // leaves out videos whose length is unknown
+      if (sort === "duration") {
+        filter["media.durationSeconds"] = {
+          ...filter["media.durationSeconds"],
+          $type: "number",
+        }
+      }
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
         })
-        .sort({ createdAt: -1 })
+      }
 
-      console.log("✅ Creator matches retrieved")
+      const query = relevance
+        ? Video.find(filter, { score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" }, _id: -1 })
+            .skip(page.skip)
+            .limit(page.limit + 1)
+        : Video.find(page.where(filter))
+            .sort(page.sort)
+            .limit(page.limit + 1)
+      const videos = await query.populate("creatorId", "name")
+      const { items, nextCursor } = page.result(videos)
+
+      console.log("✅ Video search completed")
 
       res.json({
         success: true,
         data: {
-          matches: matches.map(formatMatchData),
+          videos: items.map(formatVideoData),
+          nextCursor,
         },
-        message: "Matches retrieved successfully",
+        message: "Videos retrieved successfully",
       })
     } catch (error) {
-      console.log("❌ Matches retrieval failed:", error.message)
+      console.log("❌ Video search failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Matches retrieval failed",
+        message: "Video search failed",
+      })
+    }
+  }
+)
+
+// Matches scored against an old version of the video no longer hold
+const markVideoMatchesStale = (videoId) =>
+  Match.updateMany(
+    { videoId, archivedAt: null, isStale: false },
+    { isStale: true, staleSince: new Date() }
+  )
+
+// Return the escrow of confirmed matches that are about to be archived:
+// archived matches can no longer be completed, so nothing would release it.
+// Resolves to the number of refunds.
+const refundEscrowBeforeArchive = async (filter, actorId) => {
+  const matchIds = await Match.find({
+    ...filter,
+    status: "confirmed",
+    archivedAt: null,
+  }).distinct("_id")
+  let refunded = 0
+  for (const matchId of matchIds) {
+    if (await refundEscrow(matchId, actorId)) refunded++
+  }
+  return refunded
+}
+
+// Delete the deliverables of the given matches along with their files
+const deleteMatchDeliverables = async (matchIds) => {
+  const deliverables = await Deliverable.find({
+    matchId: { $in: matchIds },
+  }).select("videoKey")
+  await Deliverable.deleteMany({ matchId: { $in: matchIds } })
+  for (const deliverable of deliverables) {
+    await removeStoredFile(deliverable.videoKey)
+  }
+  return deliverables.length
+}
+
+// Delete a video with its file. Confirmed and completed matches are
+// archived so the agreement and its deliverables stay on record; every
+// other match is deleted with its deliverables and offers.
+const deleteVideoCascade = async (video, actorId = null) => {
+  const refundedEscrows = await refundEscrowBeforeArchive(
+    { videoId: video._id },
+    actorId
+  )
+  const { modifiedCount: archivedMatches } = await Match.updateMany(
+    {
+      videoId: video._id,
+      status: { $in: AGREED_MATCH_STATUSES },
+      archivedAt: null,
+    },
+    { archivedAt: new Date() }
+  )
+  const matchIds = await Match.find({
+    videoId: video._id,
+    archivedAt: null,
+  }).distinct("_id")
+  await deleteMatchDeliverables(matchIds)
+  await Offer.deleteMany({ matchId: { $in: matchIds } })
+  const { deletedCount: deletedMatches } = await Match.deleteMany({
+    _id: { $in: matchIds },
+  })
+
+  await Video.findByIdAndDelete(video._id)
+  await removeStoredFile(video.videoKey)
+  await removeStoredFile(video.thumbnailKey)
+
+  return { archivedMatches, deletedMatches, refundedEscrows }
+}
+
+// Load a video owned by the signed-in creator, or answer 404/403
+const loadOwnVideo = async (req, res) => {
+  const { videoId } = req.params
+
+  const video = mongoose.isValidObjectId(videoId)
+    ? await Video.findById(videoId)
+    : null
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      message: "Video not found",
+    })
+    return null
+  }
+
+  if (video.creatorId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: "Unauthorized",
+    })
+    return null
+  }
+
+  return video
+}
+
+const videoUpdateShape = {
+  title: requiredString(200),
+  genre: requiredString(100),
+  tone: requiredString(100),
+}
+
+// Update video metadata
+app.patch(
+  "/api/videos/:videoId",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:write"),
+  async (req, res) => {
+    try {
+      const { errors, set, unset } = validatePatch(videoUpdateShape, req.body)
+      for (const field of Object.keys(unset)) {
+        errors.push(`${field} cannot be empty`)
+      }
+      if (!errors.length && !Object.keys(set).length) {
+        errors.push("Provide at least one of title, genre or tone")
+      }
+
+      const taxonomy = normalizeFields(
+        Object.fromEntries(
+          ["genre", "tone"]
+            .filter((field) => field in set)
+            .map((field) => [field, set[field]])
+        )
+      )
+      errors.push(...taxonomy.errors)
+      Object.assign(set, taxonomy.values)
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const video = await loadOwnVideo(req, res)
+      if (!video) return
+
+      const before = snapshot(video)
+      const scoringChanged = ["genre", "tone"].some(
+        (field) => field in set && set[field] !== video[field]
+      )
+
+      video.set(set)
+      await video.save()
+
+      const { modifiedCount: staleMatches } = scoringChanged
+        ? await markVideoMatchesStale(video._id)
+        : { modifiedCount: 0 }
+
+      console.log("✅ Video updated")
+
+      await recordAudit(req, {
+        action: "video.update",
+        targetType: "Video",
+        before,
+        after: video,
+        metadata: { staleMatches },
+      })
+
+      await video.populate("creatorId", "name")
+
+      res.json({
+        success: true,
+        data: {
+          video: formatVideoData(video),
+          staleMatches,
+        },
+        message: "Video updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Video update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Video update failed",
+      })
+    }
+  }
+)
+
+// Replace the video file
+app.put(
+  "/api/videos/:videoId/file",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:write"),
+  async (req, res) => {
+    try {
+      const video = await loadOwnVideo(req, res)
+      if (!video) return
+
+      uploadVideo(req, res, async (err) => {
+        if (err) {
+          console.log("❌ Video replacement failed:", err.message)
+          return res.status(400).json({
+            success: false,
+            message: err.message,
+          })
+        }
+
+        try {
+          if (!req.file) {
+            return res.status(400).json({
+              success: false,
+              message: "Video file is required",
+            })
+          }
+
+          const before = snapshot(video)
+          const previousKey = video.videoKey
+          const previousThumbnail = video.thumbnailKey
+
+          video.videoKey = req.file.key
+          video.sha256 = req.file.sha256
+          Object.assign(
+            video,
+            await storage.withLocalFile(req.file.key, (localPath) =>
+              extractVideoMedia(localPath, req.file.key)
+            )
+          )
+          await video.save()
+          await removeStoredFile(previousKey)
+          await removeStoredFile(previousThumbnail)
+
+          const { modifiedCount: staleMatches } = await markVideoMatchesStale(
+            video._id
+          )
+
+          console.log("✅ Video file replaced")
+
+          await recordAudit(req, {
+            action: "video.replace_file",
+            targetType: "Video",
+            before,
+            after: video,
+            metadata: { staleMatches },
+          })
+
+          await video.populate("creatorId", "name")
+
+          res.json({
+            success: true,
+            data: {
+              video: formatVideoData(video),
+              staleMatches,
+            },
+            message: "Video file replaced successfully",
+          })
+        } catch (error) {
+          console.log("❌ Video replacement failed:", error.message)
+          await removeStoredFile(req.file?.key)
+          res.status(500).json({
+            success: false,
+            message: "Video replacement failed",
+          })
+        }
+      })
+    } catch (error) {
+      console.log("❌ Video replacement failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Video replacement failed",
+      })
+    }
+  }
+)
+
+// Delete video
+app.delete(
+  "/api/videos/:videoId",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:write"),
+  async (req, res) => {
+    try {
+      const video = await loadOwnVideo(req, res)
+      if (!video) return
+
+      const result = await deleteVideoCascade(video, req.user._id)
+
+      console.log("✅ Video deleted")
+
+      await recordAudit(req, {
+        action: "video.delete",
+        targetType: "Video",
+        before: video,
+        metadata: result,
+      })
+
+      res.json({
+        success: true,
+        data: result,
+        message: "Video deleted successfully",
+      })
+    } catch (error) {
+      console.log("❌ Video deletion failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Video deletion failed",
+      })
+    }
+  }
+)
+
+// ==================== RESUMABLE UPLOAD ROUTES ====================
+
+const formatUploadSessionData = (session) => ({
+  id: session._id,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  progress: session.size
+    ? Math.floor((session.offset / session.size) * 100)
+    : 0,
+  status: session.status,
+  title: session.title,
+  genre: session.genre,
+  tone: session.tone,
+  videoId: session.videoId,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt,
+})
+
+const setUploadHeaders = (res, session) => {
+  res.setHeader("Upload-Offset", session.offset)
+  res.setHeader("Upload-Length", session.size)
+  res.setHeader("Cache-Control", "no-store")
+}
+
+// Load an upload session owned by the signed-in user, or answer 404
+const loadOwnUpload = async (req, res) => {
+  const { uploadId } = req.params
+
+  const session = mongoose.isValidObjectId(uploadId)
+    ? await UploadSession.findOne({ _id: uploadId, userId: req.user._id })
+    : null
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: "Upload not found",
+    })
+    return null
+  }
+  return session
+}
+
+// Start a resumable upload
+app.post(
+  "/api/uploads",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:write"),
+  async (req, res) => {
+    try {
+      const { filename, size, title, genre, tone } = req.body
+
+      if (
+        typeof filename !== "string" ||
+        typeof title !== "string" ||
+        !filename ||
+        !title ||
+        !genre ||
+        !tone
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Filename, size, title, genre, and tone are required",
+        })
+      }
+
+      const extension = path.extname(filename).toLowerCase()
+
+      const taxonomy = normalizeFields({ genre, tone })
+      if (taxonomy.errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: taxonomy.errors.join("; "),
+        })
+      }
+
+      if (!Number.isSafeInteger(size) || size <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Size must be a positive number of bytes",
+        })
+      }
+
+      if (size > MAX_UPLOAD_BYTES) {
+        return res.status(413).json({
+          success: false,
+          message: `Videos can be at most ${Math.floor(
+            MAX_UPLOAD_BYTES / (1024 * 1024)
+          )}MB`,
+        })
+      }
+
+      if (!VIDEO_EXTENSIONS.includes(extension)) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${VIDEO_EXTENSIONS.join(", ")} files are allowed`,
+        })
+      }
+
+      const activeUploads = await UploadSession.countDocuments({
+        userId: req.user._id,
+        status: "active",
+      })
+      if (activeUploads >= MAX_ACTIVE_UPLOADS) {
+        return res.status(400).json({
+          success: false,
+          message: `You can have at most ${MAX_ACTIVE_UPLOADS} uploads in progress`,
+        })
+      }
+
+      const session = new UploadSession({
+        userId: req.user._id,
+        filename: path.basename(filename),
+        extension,
+        size,
+        title,
+        ...taxonomy.values,
+        expiresAt: nextExpiry(),
+      })
+      await createTempFile(session)
+      await session.save()
+
+      console.log("✅ Resumable upload started")
+
+      await recordAudit(req, {
+        action: "upload.create",
+        targetType: "UploadSession",
+        after: session,
+      })
+
+      setUploadHeaders(res, session)
+      res.setHeader("Location", `/api/uploads/${session._id}`)
+      res.status(201).json({
+        success: true,
+        data: {
+          upload: formatUploadSessionData(session),
+        },
+        message: "Upload started successfully",
+      })
+    } catch (error) {
+      console.log("❌ Upload start failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Upload start failed",
+      })
+    }
+  }
+)
+
+// Get upload progress. HEAD returns only the Upload-Offset/Upload-Length headers.
+app.get(
+  "/api/uploads/:uploadId",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:read"),
+  async (req, res) => {
+    try {
+      const session = await loadOwnUpload(req, res)
+      if (!session) return
+
+      setUploadHeaders(res, session)
+      res.json({
+        success: true,
+        data: {
+          upload: formatUploadSessionData(session),
+        },
+        message: "Upload retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Upload retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Upload retrieval failed",
+      })
+    }
+  }
+)
+
+// Append a chunk. Upload-Offset must match the bytes received so far.
+app.patch(
+  "/api/uploads/:uploadId",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:write"),
+  async (req, res) => {
+    let session
+    try {
+      session = await loadOwnUpload(req, res)
+      if (!session) return
+
+      const contentType = (req.headers["content-type"] || "").split(";")[0]
+      if (!CHUNK_CONTENT_TYPES.includes(contentType.trim())) {
+        return res.status(415).json({
+          success: false,
+          message: `Chunks must be sent as ${CHUNK_CONTENT_TYPES[0]}`,
+        })
+      }
+
+      if (session.status !== "active") {
+        return res.status(409).json({
+          success: false,
+          message: "Upload is already complete",
+        })
+      }
+
+      const offset = Number(req.headers["upload-offset"])
+      if (offset !== session.offset) {
+        setUploadHeaders(res, session)
+        return res.status(409).json({
+          success: false,
+          data: { offset: session.offset },
+          message: "Upload-Offset does not match the upload",
+        })
+      }
+
+      const contentLength = Number(req.headers["content-length"])
+      if (contentLength > session.size - session.offset) {
+        return res.status(413).json({
+          success: false,
+          message: "Chunk exceeds the declared upload size",
+        })
+      }
+
+      const locked = await claimChunkLock(session, offset)
+      if (!locked) {
+        return res.status(409).json({
+          success: false,
+          message: "Another chunk is being written to this upload",
+        })
+      }
+
+      const result = await appendChunk(session, req)
+      session.offset = result.offset
+
+      if (result.aborted) {
+        console.log("⚠️ Upload chunk interrupted at offset", result.offset)
+        return
+      }
+
+      // Chunks are not audited; the upload's create, complete and cancel are
+      console.log("✅ Upload chunk received")
+
+      setUploadHeaders(res, session)
+      if (result.overflow) {
+        return res.status(413).json({
+          success: false,
+          data: { offset: result.offset },
+          message: "Chunk exceeds the declared upload size",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: {
+          upload: formatUploadSessionData(session),
+        },
+        message: "Chunk uploaded successfully",
+      })
+    } catch (error) {
+      console.log("❌ Upload chunk failed:", error.message)
+      if (session) {
+        await UploadSession.updateOne({ _id: session._id }, { lockedAt: null })
+      }
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: "Upload chunk failed",
+        })
+      }
+    }
+  }
+)
+
+// Finish an upload and create the Video. Repeating the call returns the
+// same video, so a client that lost the first response can retry.
+app.post(
+  "/api/uploads/:uploadId/complete",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:write"),
+  async (req, res) => {
+    let session
+    let video
+    let stored = false
+    try {
+      session = await loadOwnUpload(req, res)
+      if (!session) return
+
+      if (session.status === "completed") {
+        const existing = await Video.findById(session.videoId).populate(
+          "creatorId",
+          "name"
+        )
+        return res.json({
+          success: true,
+          data: {
+            upload: formatUploadSessionData(session),
+            video: existing ? formatVideoData(existing) : null,
+          },
+          message: "Upload already completed",
+        })
+      }
+
+      if (session.offset !== session.size) {
+        setUploadHeaders(res, session)
+        return res.status(409).json({
+          success: false,
+          data: { offset: session.offset, size: session.size },
+          message: "Upload is not finished yet",
+        })
+      }
+
+      // Claim the session so a concurrent chunk or completion cannot race
+      const claimed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "active", lockedAt: null },
+        { status: "finalizing" },
+        { new: true }
+      )
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: "Upload is busy, please retry",
+        })
+      }
+      session = claimed
+
+      const before = snapshot(session)
+      const localPath = tempPathFor(session)
+      const sha256 = await hashFile(localPath)
+
+      let detected
+      try {
+        detected = await inspectUpload(localPath, ["video"])
+      } catch (error) {
+        const details = {
+          reason: error.message,
+          originalName: session.filename,
+          size: session.size,
+          sha256,
+          uploadId: session._id,
+          userId: req.user._id,
+          ip: req.ip,
+        }
+        const quarantineId = await quarantineFile(localPath, details)
+        await discardUpload(session)
+        console.log("❌ Upload completion failed:", error.message)
+
+        await recordAudit(req, {
+          action: "upload.quarantine",
+          targetType: "UploadSession",
+          before: session,
+          metadata: { ...details, quarantineId },
+        })
+
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        })
+      }
+
+      const videoKey = videoKeyFor(detected.extension)
+      video = await createVideoFromFile(
+        req.user._id,
+        { title: session.title, genre: session.genre, tone: session.tone },
+        { videoKey, localPath, sha256 }
+      )
+      await storeUpload(session, videoKey)
+      stored = true
+
+      session.status = "completed"
+      session.videoId = video._id
+      session.expiresAt = nextExpiry()
+      await session.save()
+
+      console.log("✅ Resumable upload completed")
+
+      await recordAudit(req, {
+        action: "video.upload",
+        targetType: "Video",
+        after: video,
+        metadata: { uploadId: session._id, resumable: true },
+      })
+      await recordAudit(req, {
+        action: "upload.complete",
+        targetType: "UploadSession",
+        before,
+        after: session,
+      })
+
+      await video.populate("creatorId", "name")
+
+      res.status(201).json({
+        success: true,
+        data: {
+          upload: formatUploadSessionData(session),
+          video: formatVideoData(video),
+        },
+        message: "Video uploaded successfully",
+      })
+    } catch (error) {
+      console.log("❌ Upload completion failed:", error.message)
+      // The bytes are still in the temp file, so the client can retry
+      if (session?.status === "finalizing" && !stored) {
+        if (video) {
+          await Video.deleteOne({ _id: video._id })
+          await removeStoredFile(video.thumbnailKey)
+        }
+        await UploadSession.updateOne(
+          { _id: session._id },
+          { status: "active" }
+        )
+      }
+      res.status(500).json({
+        success: false,
+        message: "Upload completion failed",
+      })
+    }
+  }
+)
+
+// Cancel an upload and discard the received bytes
+app.delete(
+  "/api/uploads/:uploadId",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("videos:write"),
+  async (req, res) => {
+    try {
+      const session = await loadOwnUpload(req, res)
+      if (!session) return
+
+      if (session.status === "finalizing") {
+        return res.status(409).json({
+          success: false,
+          message: "Upload is being finalized",
+        })
+      }
+
+      await discardUpload(session)
+
+      console.log("✅ Resumable upload cancelled")
+
+      await recordAudit(req, {
+        action: "upload.cancel",
+        targetType: "UploadSession",
+        before: session,
+      })
+
+      res.json({
+        success: true,
+        message: "Upload cancelled successfully",
+      })
+    } catch (error) {
+      console.log("❌ Upload cancellation failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Upload cancellation failed",
+      })
+    }
+  }
+)
+
+// ==================== CAMPAIGN ROUTES (MARKETER) ====================
+
+const removeStoredFiles = async (files) => {
+  for (const file of files) {
+    await removeStoredFile(file.key)
+  }
+}
+
+// Asset fields for a file stored by the upload middleware
+const campaignAssetFrom = (file) => ({
+  key: file.key,
+  sha256: file.sha256,
+  mimeType: file.detectedMimeType,
+})
+
+const assetLabel = string(100)
+
+// Optional "label" form fields, one per uploaded file in the same order
+const assetLabelsFrom = (body, count) => {
+  const labels = [].concat(body.label ?? [])
+  const errors = []
+  if (labels.length > count) {
+    errors.push("Provide at most one label per asset file")
+  }
+  for (const label of labels) {
+    const error = assetLabel(label, "label")
+    if (error) errors.push(error)
+  }
+  return {
+    errors,
+    values: Array.from({ length: count }, (_, i) => labels[i]?.trim() || ""),
+  }
+}
+
+// Create campaign
+app.post(
+  "/api/campaigns/create",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  (req, res) => {
+    uploadAssets(req, res, async (err) => {
+      if (err) {
+        console.log("❌ Campaign creation failed:", err.message)
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        })
+      }
+
+      const files = req.files || []
+      try {
+        const { productName, category, description } = req.body
+
+        if (!productName || !category || !files.length) {
+          await removeStoredFiles(files)
+          return res.status(400).json({
+            success: false,
+            message: "Product name, category, and asset file are required",
+          })
+        }
+
+        // New campaigns go live right away unless created as a draft
+        const status = req.body.status || "active"
+        const taxonomy = normalizeFields({ category })
+        const terms = parseCampaignTerms(req.body)
+        const labels = assetLabelsFrom(req.body, files.length)
+        const errors = [...taxonomy.errors, ...terms.errors, ...labels.errors]
+        if (!["draft", "active"].includes(status)) {
+          errors.push("status must be draft or active")
+        }
+        if (terms.set.endsAt && terms.set.endsAt <= new Date()) {
+          errors.push("endsAt must be in the future")
+        }
+        if (errors.length) {
+          await removeStoredFiles(files)
+          return res.status(400).json({
+            success: false,
+            message: errors.join("; "),
+          })
+        }
+
+        const membership = await getMembership(req.user._id)
+
+        const campaign = new Campaign({
+          productName,
+          category: taxonomy.values.category,
+          description,
+          assets: files.map((file, i) => ({
+            ...campaignAssetFrom(file),
+            label: labels.values[i],
+          })),
+          marketerId: req.user._id,
+          organizationId: membership?.organization._id || null,
+          status,
+        })
+        campaign.set(terms.set)
+
+        await campaign.save()
+        console.log("✅ Campaign creation successful")
+
+        await recordAudit(req, {
+          action: "campaign.create",
+          targetType: "Campaign",
+          after: campaign,
+        })
+
+        res.status(201).json({
+          success: true,
+          data: {
+            campaign: formatOwnCampaignData(campaign),
+          },
+          message: "Campaign created successfully",
+        })
+      } catch (error) {
+        console.log("❌ Campaign creation failed:", error.message)
+        await removeStoredFiles(files)
+        res.status(500).json({
+          success: false,
+          message: "Campaign creation failed",
+        })
+      }
+    })
+  }
+)
+
+const CAMPAIGN_LIST_SORTS = {
+  newest: { field: "createdAt", order: -1, type: "date" },
+  oldest: { field: "createdAt", order: 1, type: "date" },
+  productName: { field: "productName", order: 1, type: "string" },
+}
+
+// Get marketer's campaigns
+app.get(
+  "/api/campaigns/my-campaigns",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:read"),
+  async (req, res) => {
+    try {
+      const page = parsePagination(req.query, CAMPAIGN_LIST_SORTS, "newest")
+      const errors = [...page.errors]
+      const filter = {
+        ...taxonomyFilter(req.query, ["category"], errors),
+        ...enumFilter(req.query, "status", CAMPAIGN_STATUSES, errors),
+      }
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const campaigns = await Campaign.find(
+        page.where({ ...filter, ...(await marketerScope(req.user)) })
+      )
+        .populate("marketerId", "name")
+        .sort(page.sort)
+        .limit(page.limit + 1)
+      const { items, nextCursor } = page.result(campaigns)
+
+      console.log("✅ Marketer campaigns retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          campaigns: items.map(formatOwnCampaignData),
+          nextCursor,
+        },
+        message: "Campaigns retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Campaigns retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Campaigns retrieval failed",
+      })
+    }
+  }
+)
+
+// Load a campaign the signed-in marketer can manage, or answer 404
+const loadOwnCampaign = async (req, res) => {
+  const { campaignId } = req.params
+
+  const campaign = mongoose.isValidObjectId(campaignId)
+    ? await Campaign.findOne({
+        _id: campaignId,
+        ...(await marketerScope(req.user)),
+      })
+    : null
+  if (!campaign) {
+    res.status(404).json({
+      success: false,
+      message: "Campaign not found",
+    })
+    return null
+  }
+  return campaign
+}
+
+// Archived campaigns are kept for the record and can no longer change
+const rejectArchivedCampaign = (campaign, res) => {
+  if (campaign.status !== "archived") return false
+  res.status(409).json({
+    success: false,
+    message: "Archived campaigns cannot be changed",
+  })
+  return true
+}
+
+// Matches scored against an old version of the campaign no longer hold
+const markCampaignMatchesStale = (campaignId) =>
+  Match.updateMany(
+    { campaignId, archivedAt: null, isStale: false },
+    { isStale: true, staleSince: new Date() }
+  )
+
+// Delete a campaign with its asset files. Confirmed and completed matches
+// are archived so the agreement and its deliverables stay on record; every
+// other match is deleted with its deliverables and offers.
+const deleteCampaignCascade = async (campaign, actorId = null) => {
+  const refundedEscrows = await refundEscrowBeforeArchive(
+    { campaignId: campaign._id },
+    actorId
+  )
+  const { modifiedCount: archivedMatches } = await Match.updateMany(
+    {
+      campaignId: campaign._id,
+      status: { $in: AGREED_MATCH_STATUSES },
+      archivedAt: null,
+    },
+    { archivedAt: new Date() }
+  )
+  const deletedMatchesQuery = { campaignId: campaign._id, archivedAt: null }
+  const matchIds = await Match.find(deletedMatchesQuery).distinct("_id")
+  const videoIds = await Match.find(deletedMatchesQuery).distinct("videoId")
+  const deletedDeliverables = await deleteMatchDeliverables(matchIds)
+  await Offer.deleteMany({ matchId: { $in: matchIds } })
+  const { deletedCount: deletedMatches } = await Match.deleteMany({
+    _id: { $in: matchIds },
+  })
+  for (const videoId of videoIds) {
+    await refreshVideoStatus(videoId)
+  }
+
+  await Campaign.findByIdAndDelete(campaign._id)
+  await removeStoredFiles(campaign.assets)
+
+  return {
+    archivedMatches,
+    deletedMatches,
+    deletedDeliverables,
+    refundedEscrows,
+  }
+}
+
+const campaignUpdateShape = {
+  productName: requiredString(200),
+  category: requiredString(100),
+  description: string(2000),
+}
+
+// Schedule and budget fields, validated by parseCampaignTerms
+const CAMPAIGN_TERM_FIELDS = [
+  "startsAt",
+  "endsAt",
+  "currency",
+  "totalBudget",
+  "creatorBudget",
+]
+
+// Update campaign details, schedule and budget
+app.patch(
+  "/api/campaigns/:campaignId",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const body = isPlainObject(req.body) ? req.body : {}
+      const details = Object.fromEntries(
+        Object.entries(body).filter(
+          ([field]) => !CAMPAIGN_TERM_FIELDS.includes(field)
+        )
+      )
+      const termFields = Object.fromEntries(
+        Object.entries(body).filter(([field]) =>
+          CAMPAIGN_TERM_FIELDS.includes(field)
+        )
+      )
+
+      const { errors, set, unset } = validatePatch(campaignUpdateShape, details)
+      for (const field of ["productName", "category"]) {
+        if (field in unset) errors.push(`${field} cannot be empty`)
+      }
+      if (!Object.keys(body).length) {
+        errors.push(
+          `Provide at least one of ${[
+            ...Object.keys(campaignUpdateShape),
+            ...CAMPAIGN_TERM_FIELDS,
+          ].join(", ")}`
+        )
+      }
+      if ("category" in set) {
+        const taxonomy = normalizeFields({ category: set.category })
+        errors.push(...taxonomy.errors)
+        Object.assign(set, taxonomy.values)
+      }
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+      if (rejectArchivedCampaign(campaign, res)) return
+
+      const terms = parseCampaignTerms(termFields, campaign)
+      if (terms.set.endsAt && terms.set.endsAt <= new Date()) {
+        terms.errors.push("endsAt must be in the future")
+      }
+      if (terms.errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: terms.errors.join("; "),
+        })
+      }
+
+      const before = snapshot(campaign)
+      const scoringChanged = ["productName", "category", "description"].some(
+        (field) =>
+          (field in set && set[field] !== campaign[field]) ||
+          (field in unset && campaign[field])
+      )
+
+      campaign.set({ ...set, ...terms.set })
+      for (const field of Object.keys(unset)) {
+        campaign.set(field, undefined)
+      }
+      await campaign.save()
+
+      const { modifiedCount: staleMatches } = scoringChanged
+        ? await markCampaignMatchesStale(campaign._id)
+        : { modifiedCount: 0 }
+
+      console.log("✅ Campaign updated")
+
+      await recordAudit(req, {
+        action: "campaign.update",
+        targetType: "Campaign",
+        before,
+        after: campaign,
+        metadata: { staleMatches },
+      })
+
+      await campaign.populate("marketerId", "name")
+
+      res.json({
+        success: true,
+        data: {
+          campaign: formatOwnCampaignData(campaign),
+          staleMatches,
+        },
+        message: "Campaign updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Campaign update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Campaign update failed",
+      })
+    }
+  }
+)
+
+// Delete campaign
+app.delete(
+  "/api/campaigns/:campaignId",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+
+      const result = await deleteCampaignCascade(campaign, req.user._id)
+
+      console.log("✅ Campaign deleted")
+
+      await recordAudit(req, {
+        action: "campaign.delete",
+        targetType: "Campaign",
+        before: campaign,
+        metadata: result,
+      })
+
+      res.json({
+        success: true,
+        data: result,
+        message: "Campaign deleted successfully",
+      })
+    } catch (error) {
+      console.log("❌ Campaign deletion failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Campaign deletion failed",
+      })
+    }
+  }
+)
+
+// Move a campaign through its lifecycle (see CAMPAIGN_TRANSITIONS)
+app.put(
+  "/api/campaigns/:campaignId/status",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const { status } = req.body
+
+      if (!CAMPAIGN_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${CAMPAIGN_STATUSES.join(", ")}`,
+        })
+      }
+
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+
+      if (!canTransition(campaign.status, status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot move a ${campaign.status} campaign to ${status}`,
+        })
+      }
+
+      if (
+        status === "active" &&
+        campaign.endsAt &&
+        campaign.endsAt <= new Date()
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: "Campaign end date has passed",
+        })
+      }
+
+      const before = snapshot(campaign)
+
+      campaign.status = status
+      if (status === "completed") campaign.completedAt = new Date()
+      await campaign.save()
+
+      console.log(`✅ Campaign moved to ${status}`)
+
+      await recordAudit(req, {
+        action: "campaign.status_change",
+        targetType: "Campaign",
+        before,
+        after: campaign,
+        metadata: { from: before.status, to: status },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          campaign: formatOwnCampaignData(campaign),
+        },
+        message: "Campaign status updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Campaign status update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Campaign status update failed",
+      })
+    }
+  }
+)
+
+// Replace the campaign's targeting rules
+app.put(
+  "/api/campaigns/:campaignId/targeting",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const { errors, targeting } = parseTargeting(req.body)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+      if (rejectArchivedCampaign(campaign, res)) return
+
+      const before = snapshot(campaign)
+
+      campaign.targeting = targeting
+      await campaign.save()
+
+      // Re-screen existing matches against the new rules on the next run
+      const { modifiedCount: staleMatches } = await markCampaignMatchesStale(
+        campaign._id
+      )
+
+      console.log("✅ Campaign targeting updated")
+
+      await recordAudit(req, {
+        action: "campaign.targeting_update",
+        targetType: "Campaign",
+        before,
+        after: campaign,
+        metadata: { staleMatches },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          campaign: formatOwnCampaignData(campaign),
+          staleMatches,
+        },
+        message: "Campaign targeting updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Campaign targeting update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Campaign targeting update failed",
+      })
+    }
+  }
+)
+
+// ==================== CAMPAIGN ASSET ROUTES ====================
+
+// Find one asset of a loaded campaign, or answer 404
+const findCampaignAsset = (campaign, req, res) => {
+  const asset = mongoose.isValidObjectId(req.params.assetId)
+    ? campaign.assets.id(req.params.assetId)
+    : null
+  if (!asset) {
+    res.status(404).json({
+      success: false,
+      message: "Asset not found",
+    })
+  }
+  return asset
+}
+
+// Add assets to the end of the gallery
+app.post(
+  "/api/campaigns/:campaignId/assets",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+      if (rejectArchivedCampaign(campaign, res)) return
+
+      uploadAssets(req, res, async (err) => {
+        if (err) {
+          console.log("❌ Asset upload failed:", err.message)
+          return res.status(400).json({
+            success: false,
+            message: err.message,
+          })
+        }
+
+        const files = req.files || []
+        try {
+          const labels = assetLabelsFrom(req.body, files.length)
+          const errors = [...labels.errors]
+          if (!files.length) {
+            errors.push("At least one asset file is required")
+          }
+          if (campaign.assets.length + files.length > MAX_CAMPAIGN_ASSETS) {
+            errors.push(
+              `A campaign can have at most ${MAX_CAMPAIGN_ASSETS} assets`
+            )
+          }
+          if (errors.length) {
+            await removeStoredFiles(files)
+            return res.status(400).json({
+              success: false,
+              message: errors.join("; "),
+            })
+          }
+
+          const before = snapshot(campaign)
+
+          files.forEach((file, i) => {
+            campaign.assets.push({
+              ...campaignAssetFrom(file),
+              label: labels.values[i],
+            })
+          })
+          await campaign.save()
+
+          console.log("✅ Campaign assets added")
+
+          await recordAudit(req, {
+            action: "campaign.asset_add",
+            targetType: "Campaign",
+            before,
+            after: campaign,
+          })
+
+          res.status(201).json({
+            success: true,
+            data: {
+              assets: campaign.assets.map(formatCampaignAssetData),
+            },
+            message: "Assets added successfully",
+          })
+        } catch (error) {
+          console.log("❌ Asset upload failed:", error.message)
+          await removeStoredFiles(files)
+          res.status(500).json({
+            success: false,
+            message: "Asset upload failed",
+          })
+        }
+      })
+    } catch (error) {
+      console.log("❌ Asset upload failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Asset upload failed",
+      })
+    }
+  }
+)
+
+// Reorder the gallery. Registered before /assets/:assetId.
+app.put(
+  "/api/campaigns/:campaignId/assets/order",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const { assetIds } = req.body
+
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+      if (rejectArchivedCampaign(campaign, res)) return
+
+      const current = campaign.assets.map((asset) => asset._id.toString())
+      const isPermutation =
+        Array.isArray(assetIds) &&
+        assetIds.length === current.length &&
+        new Set(assetIds).size === current.length &&
+        assetIds.every((id) => current.includes(id))
+      if (!isPermutation) {
+        return res.status(400).json({
+          success: false,
+          message: "assetIds must list every asset id of the campaign once",
+        })
+      }
+
+      const before = snapshot(campaign)
+
+      campaign.assets = assetIds.map((id) => campaign.assets.id(id).toObject())
+      await campaign.save()
+
+      console.log("✅ Campaign assets reordered")
+
+      await recordAudit(req, {
+        action: "campaign.asset_reorder",
+        targetType: "Campaign",
+        before,
+        after: campaign,
+      })
+
+      res.json({
+        success: true,
+        data: {
+          assets: campaign.assets.map(formatCampaignAssetData),
+        },
+        message: "Assets reordered successfully",
+      })
+    } catch (error) {
+      console.log("❌ Asset reorder failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Asset reorder failed",
+      })
+    }
+  }
+)
+
+// Rename an asset
+app.patch(
+  "/api/campaigns/:campaignId/assets/:assetId",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const { label } = req.body
+
+      const labelError = assetLabel(label, "label")
+      if (labelError) {
+        return res.status(400).json({
+          success: false,
+          message: labelError,
+        })
+      }
+
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+      if (rejectArchivedCampaign(campaign, res)) return
+
+      const asset = findCampaignAsset(campaign, req, res)
+      if (!asset) return
+
+      const before = snapshot(campaign)
+
+      asset.label = label.trim()
+      await campaign.save()
+
+      console.log("✅ Campaign asset renamed")
+
+      await recordAudit(req, {
+        action: "campaign.asset_update",
+        targetType: "Campaign",
+        before,
+        after: campaign,
+        metadata: { assetId: asset._id },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          asset: formatCampaignAssetData(asset),
+        },
+        message: "Asset updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Asset update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Asset update failed",
+      })
+    }
+  }
+)
+
+// Replace an asset's file, keeping its id, label and position
+app.put(
+  "/api/campaigns/:campaignId/assets/:assetId",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+      if (rejectArchivedCampaign(campaign, res)) return
+
+      const asset = findCampaignAsset(campaign, req, res)
+      if (!asset) return
+
+      uploadAsset(req, res, async (err) => {
+        if (err) {
+          console.log("❌ Asset replacement failed:", err.message)
+          return res.status(400).json({
+            success: false,
+            message: err.message,
+          })
+        }
+
+        try {
+          if (!req.file) {
+            return res.status(400).json({
+              success: false,
+              message: "Asset file is required",
+            })
+          }
+
+          const before = snapshot(campaign)
+          const previousKey = asset.key
+
+          asset.set(campaignAssetFrom(req.file))
+          await campaign.save()
+          await removeStoredFile(previousKey)
+
+          console.log("✅ Campaign asset replaced")
+
+          await recordAudit(req, {
+            action: "campaign.asset_replace",
+            targetType: "Campaign",
+            before,
+            after: campaign,
+            metadata: { assetId: asset._id },
+          })
+
+          res.json({
+            success: true,
+            data: {
+              asset: formatCampaignAssetData(asset),
+            },
+            message: "Asset replaced successfully",
+          })
+        } catch (error) {
+          console.log("❌ Asset replacement failed:", error.message)
+          await removeStoredFile(req.file?.key)
+          res.status(500).json({
+            success: false,
+            message: "Asset replacement failed",
+          })
+        }
+      })
+    } catch (error) {
+      console.log("❌ Asset replacement failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Asset replacement failed",
+      })
+    }
+  }
+)
+
+// Remove an asset from the gallery
+app.delete(
+  "/api/campaigns/:campaignId/assets/:assetId",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("campaigns:write"),
+  async (req, res) => {
+    try {
+      const campaign = await loadOwnCampaign(req, res)
+      if (!campaign) return
+      if (rejectArchivedCampaign(campaign, res)) return
+
+      const asset = findCampaignAsset(campaign, req, res)
+      if (!asset) return
+
+      if (campaign.assets.length === 1) {
+        return res.status(409).json({
+          success: false,
+          message: "A campaign needs at least one asset; replace it instead",
+        })
+      }
+
+      const before = snapshot(campaign)
+
+      campaign.assets.pull(asset._id)
+      await campaign.save()
+      await removeStoredFile(asset.key)
+
+      console.log("✅ Campaign asset removed")
+
+      await recordAudit(req, {
+        action: "campaign.asset_remove",
+        targetType: "Campaign",
+        before,
+        after: campaign,
+        metadata: { assetId: asset._id },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          assets: campaign.assets.map(formatCampaignAssetData),
+        },
+        message: "Asset removed successfully",
+      })
+    } catch (error) {
+      console.log("❌ Asset removal failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Asset removal failed",
+      })
+    }
+  }
+)
+
+// ==================== MATCH ROUTES ====================
+
+const MATCH_LIST_SORTS = {
+  newest: { field: "createdAt", order: -1, type: "date" },
+  oldest: { field: "createdAt", order: 1, type: "date" },
+  score: { field: "matchScore", order: -1, type: "number" },
+}
+
+// Shared query handling for the match lists: status, minScore and stale
+// filters plus cursor pagination. Answers 400 and returns null on bad input.
+const parseMatchListQuery = (req, res) => {
+  const page = parsePagination(req.query, MATCH_LIST_SORTS, "newest")
+  const errors = [...page.errors]
+  const filter = {
+    ...enumFilter(
+      req.query,
+      "status",
+      Match.schema.path("status").enumValues,
+      errors
+    ),
+    ...booleanFilter(req.query, "stale", "isStale", errors),
+  }
+
+  if (req.query.minScore !== undefined) {
+    const minScore = Number(req.query.minScore)
+    if (req.query.minScore === "" || !(minScore >= 0 && minScore <= 100)) {
+      errors.push("minScore must be a number between 0 and 100")
+    }
+    filter.matchScore = { $gte: minScore }
+  }
+
+  if (errors.length) {
+    res.status(400).json({
+      success: false,
+      message: errors.join("; "),
+    })
+    return null
+  }
+  return { page, filter }
+}
+
+// Get creator's matches
+app.get(
+  "/api/matches/my-matches",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("matches:read"),
+  async (req, res) => {
+    try {
+      const list = parseMatchListQuery(req, res)
+      if (!list) return
+      const { page, filter } = list
+
+      const userVideos = await Video.find({ creatorId: req.user._id }).select(
+        "_id"
+      )
+      const videoIds = userVideos.map((v) => v._id)
+
+      const matches = await Match.find(
+        page.where({
+          ...filter,
+          videoId: { $in: videoIds },
+          archivedAt: null,
+        })
+      )
+        .populate({
+          path: "videoId",
+          populate: { path: "creatorId", select: "name" },
+        })
+        .populate({
+          path: "campaignId",
+          populate: { path: "marketerId", select: "name" },
+        })
+        .sort(page.sort)
+        .limit(page.limit + 1)
+      const { items, nextCursor } = page.result(matches)
+
+      console.log("✅ Creator matches retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          matches: items.map(formatMatchData),
+          nextCursor,
+        },
+        message: "Matches retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Matches retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Matches retrieval failed",
+      })
+    }
+  }
+)
+
+// Get campaign matches
+app.get(
+  "/api/matches/campaign/:campaignId",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("matches:read"),
+  async (req, res) => {
+    try {
+      const { campaignId } = req.params
+
+      const list = parseMatchListQuery(req, res)
+      if (!list) return
+      const { page, filter } = list
+
+      // Verify campaign belongs to the marketer or their organization
+      const campaign = await Campaign.findOne({
+        _id: campaignId,
+        ...(await marketerScope(req.user)),
+      })
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: "Campaign not found",
+        })
+      }
+
+      const matches = await Match.find(
+        page.where({ ...filter, campaignId, archivedAt: null })
+      )
+        .populate({
+          path: "videoId",
+          populate: { path: "creatorId", select: "name" },
+        })
+        .populate({
+          path: "campaignId",
+          populate: { path: "marketerId", select: "name" },
+        })
+        .sort(page.sort)
+        .limit(page.limit + 1)
+      const { items, nextCursor } = page.result(matches)
+
+      console.log("✅ Campaign matches retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          matches: items.map(formatMatchData),
+          nextCursor,
+        },
+        message: "Campaign matches retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Campaign matches retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Campaign matches retrieval failed",
+      })
+    }
+  }
+)
+
+// Which side of a match the user is on: "creator", "marketer" or "admin",
+// or null when they are not part of it
+const matchSideFor = async (user, match) => {
+  if (user.role === "admin") return "admin"
+  if (user.role === "creator" && match.videoId) {
+    return idOf(match.videoId.creatorId) === user._id.toString()
+      ? "creator"
+      : null
+  }
+  if (user.role === "marketer" && match.campaignId) {
+    return isInScope(match.campaignId, await marketerScope(user))
+      ? "marketer"
+      : null
+  }
+  return null
+}
+
+// A match with its video, campaign and their owners' names, as responses
+// show it
+const populateMatch = (matchId) =>
+  Match.findById(matchId)
+    .populate({
+      path: "videoId",
+      populate: { path: "creatorId", select: "name" },
+    })
+    .populate({
+      path: "campaignId",
+      populate: { path: "marketerId", select: "name" },
+    })
+
+// Load a match the signed-in user is part of, or answer 404/403
+const loadMatchForUser = async (req, res, matchId) => {
+  const match = mongoose.isValidObjectId(matchId)
+    ? await Match.findById(matchId).populate("videoId").populate("campaignId")
+    : null
+  if (!match) {
+    res.status(404).json({
+      success: false,
+      message: "Match not found",
+    })
+    return null
+  }
+
+  if (!(await matchSideFor(req.user, match))) {
+    res.status(403).json({
+      success: false,
+      message: "Unauthorized",
+    })
+    return null
+  }
+
+  return match
+}
+
+// Move a match through its lifecycle. MATCH_TRANSITIONS decides which side
+// may make each change.
+app.put(
+  "/api/matches/:matchId/status",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const { status } = req.body
+
+      if (!MATCH_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${MATCH_STATUSES.join(", ")}`,
+        })
+      }
+
+      const match = await loadMatchForUser(req, res, req.params.matchId)
+      if (!match) return
+
+      if (match.archivedAt) {
+        return res.status(409).json({
+          success: false,
+          message: "Archived matches cannot change",
+        })
+      }
+
+      const side = await matchSideFor(req.user, match)
+      const error = transitionError(match.status, status, side)
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        })
+      }
+
+      let blocker = null
+      if (
+        !["declined", "withdrawn"].includes(status) &&
+        match.campaignId.status === "archived"
+      ) {
+        blocker = "Campaign is archived"
+      } else if (
+        status === "confirmed" &&
+        (await Offer.exists({ matchId: match._id, status: "open" }))
+      ) {
+        blocker =
+          "This match has an open offer; accept, decline or counter it first"
+      } else if (
+        status === "completed" &&
+        !(await Deliverable.exists({ matchId: match._id, status: "approved" }))
+      ) {
+        blocker = "A match can only be completed once a deliverable is approved"
+      } else if (
+        status === "completed" &&
+        match.agreedTerms &&
+        !(await LedgerTransaction.exists({
+          matchId: match._id,
+          type: "escrow_hold",
+        }))
+      ) {
+        blocker = "Fund escrow for the agreed terms before completing the match"
+      }
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          message: blocker,
+        })
+      }
+
+      // Conditional update so two changes cannot both start from one status
+      const updated = await Match.findOneAndUpdate(
+        { _id: match._id, status: match.status },
+        { status },
+        { new: true }
+      )
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: "Match changed while it was being updated",
+        })
+      }
+
+      // Ending the match ends its negotiation too
+      if (["declined", "withdrawn"].includes(status)) {
+        await Offer.updateMany(
+          { matchId: match._id, status: "open" },
+          {
+            status: "declined",
+            respondedBy: req.user._id,
+            respondedAt: new Date(),
+          }
+        )
+      }
+
+      await refreshVideoStatus(match.videoId._id)
+
+      // Completion pays the creator from escrow. A failed release can be
+      // retried by an admin, so it does not undo the status change.
+      let escrowRelease = null
+      if (status === "completed") {
+        escrowRelease = await releaseEscrow(match._id, req.user._id).catch(
+          (error) => {
+            console.log("❌ Escrow release failed:", error.message)
+            return null
+          }
+        )
+      }
+
+      console.log("✅ Match status updated")
+
+      await recordAudit(req, {
+        action: "match.status_change",
+        targetType: "Match",
+        before: snapshot(match),
+        after: updated,
+        metadata: {
+          from: match.status,
+          to: status,
+          escrowReleaseId: escrowRelease?._id,
+        },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          match: formatMatchData(await populateMatch(updated._id)),
+        },
+        message: "Match status updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Match status update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Match status update failed",
+      })
+    }
+  }
+)
+
+// ==================== DELIVERABLE ROUTES ====================
+
+// Load a deliverable whose match the signed-in user is part of
+const loadDeliverableForUser = async (req, res) => {
+  const { deliverableId } = req.params
+
+  const deliverable = mongoose.isValidObjectId(deliverableId)
+    ? await Deliverable.findById(deliverableId)
+    : null
+  if (!deliverable) {
+    res.status(404).json({
+      success: false,
+      message: "Deliverable not found",
+    })
+    return null
+  }
+
+  const match = await loadMatchForUser(req, res, deliverable.matchId)
+  return match && deliverable
+}
+
+// Submit a new version of the deliverable for a confirmed match
+app.post(
+  "/api/matches/:matchId/deliverables",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const match = await loadMatchForUser(req, res, req.params.matchId)
+      if (!match) return
+
+      if (match.status !== "confirmed" || match.archivedAt) {
+        return res.status(409).json({
+          success: false,
+          message: "Deliverables can only be submitted for confirmed matches",
+        })
+      }
+
+      const approved = await Deliverable.exists({
+        matchId: match._id,
+        status: "approved",
+      })
+      if (approved) {
+        return res.status(409).json({
+          success: false,
+          message: "A deliverable for this match is already approved",
+        })
+      }
+    } catch (error) {
+      console.log("❌ Deliverable submission failed:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Deliverable submission failed",
+      })
+    }
+
+    uploadDeliverable(req, res, async (err) => {
+      if (err) {
+        console.log("❌ Deliverable upload failed:", err.message)
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        })
+      }
+
+      try {
+        const { notes } = req.body
+
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: "Deliverable video file is required",
+          })
+        }
+
+        const notesError = notes !== undefined && string(2000)(notes, "notes")
+        if (notesError) {
+          await removeStoredFile(req.file.key)
+          return res.status(400).json({
+            success: false,
+            message: notesError,
+          })
+        }
+
+        const media = await storage.withLocalFile(req.file.key, readVideoMedia)
+
+        const latest = await Deliverable.findOne({
+          matchId: req.params.matchId,
+        }).sort({ version: -1 })
+
+        const deliverable = new Deliverable({
+          matchId: req.params.matchId,
+          version: latest ? latest.version + 1 : 1,
+          videoKey: req.file.key,
+          sha256: req.file.sha256,
+          media,
+          notes,
+          submittedBy: req.user._id,
+        })
+        try {
+          await deliverable.save()
+        } catch (error) {
+          // Unique (matchId, version): another version was saved first
+          if (error.code !== 11000) throw error
+          await removeStoredFile(req.file.key)
+          return res.status(409).json({
+            success: false,
+            message: "Another version was submitted at the same time, retry",
+          })
+        }
+
+        const { modifiedCount: superseded } = await Deliverable.updateMany(
+          {
+            matchId: deliverable.matchId,
+            status: "submitted",
+            _id: { $ne: deliverable._id },
+          },
+          { status: "superseded" }
+        )
+
+        console.log("✅ Deliverable submitted")
+
+        await recordAudit(req, {
+          action: "deliverable.submit",
+          targetType: "Deliverable",
+          after: deliverable,
+          metadata: { matchId: deliverable.matchId, superseded },
+        })
+
+        res.status(201).json({
+          success: true,
+          data: {
+            deliverable: formatDeliverableData(deliverable),
+          },
+          message: "Deliverable submitted successfully",
+        })
+      } catch (error) {
+        console.log("❌ Deliverable submission failed:", error.message)
+        res.status(500).json({
+          success: false,
+          message: "Deliverable submission failed",
+        })
+      }
+    })
+  }
+)
+
+// Version history of a match's deliverable, newest first
+app.get(
+  "/api/matches/:matchId/deliverables",
+  authenticateToken,
+  requireScope("matches:read"),
+  async (req, res) => {
+    try {
+      const match = await loadMatchForUser(req, res, req.params.matchId)
+      if (!match) return
+
+      const deliverables = await Deliverable.find({ matchId: match._id })
+        .populate("submittedBy", "name")
+        .populate("reviewedBy", "name")
+        .sort({ version: -1 })
+
+      console.log("✅ Deliverables retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          deliverables: deliverables.map(formatDeliverableData),
+        },
+        message: "Deliverables retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Deliverables retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Deliverables retrieval failed",
+      })
+    }
+  }
+)
+
+// Record the marketer's decision on a submitted version. Only the newest
+// version can be waiting for review; older ones are superseded.
+const reviewDeliverable = (decision) => async (req, res) => {
+  const outcome = decision === "approved" ? "approved" : "sent back"
+  try {
+    const { comment } = req.body
+
+    const commentError =
+      decision === "changes_requested"
+        ? requiredString(2000)(comment, "comment")
+        : comment !== undefined && string(2000)(comment, "comment")
+    if (commentError) {
+      return res.status(400).json({
+        success: false,
+        message: commentError,
+      })
+    }
+
+    const current = await loadDeliverableForUser(req, res)
+    if (!current) return
+
+    // Conditional update so two reviewers cannot both decide
+    const deliverable = await Deliverable.findOneAndUpdate(
+      { _id: current._id, status: "submitted" },
+      {
+        status: decision,
+        reviewComment: comment,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+      },
+      { new: true }
+    )
+    if (!deliverable) {
+      return res.status(409).json({
+        success: false,
+        message: `Only a submitted version can be reviewed (this one is ${current.status})`,
+      })
+    }
+
+    console.log(`✅ Deliverable ${outcome}`)
+
+    await recordAudit(req, {
+      action:
+        decision === "approved"
+          ? "deliverable.approve"
+          : "deliverable.request_changes",
+      targetType: "Deliverable",
+      before: current,
+      after: deliverable,
+      metadata: { matchId: deliverable.matchId },
+    })
+
+    res.json({
+      success: true,
+      data: {
+        deliverable: formatDeliverableData(deliverable),
+      },
+      message: `Deliverable ${outcome} successfully`,
+    })
+  } catch (error) {
+    console.log("❌ Deliverable review failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "Deliverable review failed",
+    })
+  }
+}
+
+// Approve a deliverable version
+app.put(
+  "/api/deliverables/:deliverableId/approve",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("matches:write"),
+  reviewDeliverable("approved")
+)
+
+// Ask the creator for another revision
+app.put(
+  "/api/deliverables/:deliverableId/request-changes",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("matches:write"),
+  reviewDeliverable("changes_requested")
+)
+
+// ==================== OFFER ROUTES ====================
+
+// Add the next offer in a match's negotiation. Rejects with code 11000 when
+// another offer was opened at the same time.
+const createOffer = async (match, fields, side, user, counterOf = null) => {
+  const latest = await Offer.findOne({ matchId: match._id }).sort({ round: -1 })
+  return Offer.create({
+    ...fields,
+    matchId: match._id,
+    round: (latest?.round || 0) + 1,
+    proposedBy: user._id,
+    side,
+    counterOf,
+  })
+}
+
+// Load an open offer the signed-in user may answer, which means being on the
+// other side of its match. Answers 404/403/409 and returns null otherwise.
+const loadOfferForResponse = async (req, res) => {
+  const { offerId } = req.params
+
+  const offer = mongoose.isValidObjectId(offerId)
+    ? await Offer.findById(offerId)
+    : null
+  if (!offer) {
+    res.status(404).json({
+      success: false,
+      message: "Offer not found",
+    })
+    return null
+  }
+
+  const match = await loadMatchForUser(req, res, offer.matchId)
+  if (!match) return null
+
+  const side = await matchSideFor(req.user, match)
+  if (side !== OTHER_SIDE[offer.side]) {
+    res.status(403).json({
+      success: false,
+      message: "Only the other side can respond to this offer",
+    })
+    return null
+  }
+
+  const blocker =
+    offer.status === "open"
+      ? negotiationBlocker(match)
+      : `Offer is already ${offer.status}`
+  if (blocker) {
+    res.status(409).json({
+      success: false,
+      message: blocker,
+    })
+    return null
+  }
+
+  return { offer, match, side }
+}
+
+// Close an open offer. Conditional so two responses cannot both win.
+const closeOffer = (offer, status, user) =>
+  Offer.findOneAndUpdate(
+    { _id: offer._id, status: "open" },
+    { status, respondedBy: user._id, respondedAt: new Date() },
+    { new: true }
+  )
+
+const offerClosedResponse = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "Offer is no longer open",
+  })
+
+// Propose a fee and terms for a match
+app.post(
+  "/api/matches/:matchId/offers",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const match = await loadMatchForUser(req, res, req.params.matchId)
+      if (!match) return
+
+      const blocker = negotiationBlocker(match)
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          message: blocker,
+        })
+      }
+
+      if (await Offer.exists({ matchId: match._id, status: "open" })) {
+        return res.status(409).json({
+          success: false,
+          message: "This match already has an open offer; counter it instead",
+        })
+      }
+
+      const { errors, offer: fields } = parseOffer(req.body, match.campaignId)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      let offer
+      try {
+        offer = await createOffer(match, fields, "marketer", req.user)
+      } catch (error) {
+        if (error.code !== 11000) throw error
+        return res.status(409).json({
+          success: false,
+          message: "Another offer was made at the same time",
+        })
+      }
+
+      console.log("✅ Offer made")
+
+      await recordAudit(req, {
+        action: "offer.create",
+        targetType: "Offer",
+        after: offer,
+        metadata: { matchId: match._id },
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          offer: formatOfferData(offer),
+        },
+        message: "Offer made successfully",
+      })
+    } catch (error) {
+      console.log("❌ Offer creation failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Offer creation failed",
+      })
+    }
+  }
+)
+
+// Full negotiation history, oldest first
+app.get(
+  "/api/matches/:matchId/offers",
+  authenticateToken,
+  requireScope("matches:read"),
+  async (req, res) => {
+    try {
+      const match = await loadMatchForUser(req, res, req.params.matchId)
+      if (!match) return
+
+      const offers = await Offer.find({ matchId: match._id })
+        .populate("proposedBy", "name")
+        .populate("respondedBy", "name")
+        .sort({ round: 1 })
+
+      console.log("✅ Offers retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          offers: offers.map(formatOfferData),
+          agreedTerms: formatMatchData(match).agreedTerms,
+        },
+        message: "Offers retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Offers retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Offers retrieval failed",
+      })
+    }
+  }
+)
+
+// Accept an offer, which confirms the match and locks the agreed terms
+app.put(
+  "/api/offers/:offerId/accept",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const loaded = await loadOfferForResponse(req, res)
+      if (!loaded) return
+      const { match } = loaded
+
+      // The budget may have been lowered since the offer was made
+      const overBudget = creatorBudgetError(
+        loaded.offer.amount,
+        match.campaignId
+      )
+      if (overBudget) {
+        return res.status(409).json({
+          success: false,
+          message: `Offer ${overBudget}; counter it instead`,
+        })
+      }
+
+      const offer = await closeOffer(loaded.offer, "accepted", req.user)
+      if (!offer) return offerClosedResponse(res)
+
+      // Both sides have now agreed to the same terms. Conditional so the
+      // terms are only ever set once.
+      const accepted = await Match.findOneAndUpdate(
+        {
+          _id: match._id,
+          status: { $in: NEGOTIATING_MATCH_STATUSES },
+          agreedTerms: null,
+        },
+        {
+          status: "confirmed",
+          agreedTerms: {
+            offerId: offer._id,
+            amount: offer.amount,
+            currency: offer.currency,
+            terms: offer.terms,
+            agreedAt: offer.respondedAt,
+          },
+        },
+        { new: true }
+      )
+      const reopenOffer = () =>
+        Offer.updateOne(
+          { _id: offer._id },
+          { status: "open", respondedBy: null, respondedAt: null }
+        )
+      if (!accepted) {
+        await reopenOffer()
+        return res.status(409).json({
+          success: false,
+          message: "Match changed while the offer was being accepted",
+        })
+      }
+
+      // Checked after agreeing, so parallel acceptances see each other and
+      // cannot together overspend the campaign's total budget
+      const total = match.campaignId.budget?.total
+      if (total != null) {
+        const committed = await committedBudget(match.campaignId._id)
+        if (toMinor(committed) > toMinor(total)) {
+          await Match.updateOne(
+            { _id: match._id, "agreedTerms.offerId": offer._id },
+            { status: match.status, agreedTerms: null }
+          )
+          await reopenOffer()
+          return res.status(409).json({
+            success: false,
+            message: `Accepting would commit ${committed} of the campaign's totalBudget of ${total}`,
+          })
+        }
+      }
+
+      await refreshVideoStatus(match.videoId._id)
+
+      console.log("✅ Offer accepted")
+
+      await recordAudit(req, {
+        action: "offer.accept",
+        targetType: "Match",
+        before: snapshot(match),
+        after: accepted,
+        metadata: { offerId: offer._id },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          offer: formatOfferData(offer),
+          match: formatMatchData(await populateMatch(accepted._id)),
+        },
+        message: "Offer accepted successfully",
+      })
+    } catch (error) {
+      console.log("❌ Offer acceptance failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Offer acceptance failed",
+      })
+    }
+  }
+)
+
+// Decline an offer. The match stays open for a new offer.
+app.put(
+  "/api/offers/:offerId/decline",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const loaded = await loadOfferForResponse(req, res)
+      if (!loaded) return
+
+      const offer = await closeOffer(loaded.offer, "declined", req.user)
+      if (!offer) return offerClosedResponse(res)
+
+      console.log("✅ Offer declined")
+
+      await recordAudit(req, {
+        action: "offer.decline",
+        targetType: "Offer",
+        before: loaded.offer,
+        after: offer,
+        metadata: { matchId: offer.matchId },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          offer: formatOfferData(offer),
+        },
+        message: "Offer declined successfully",
+      })
+    } catch (error) {
+      console.log("❌ Offer decline failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Offer decline failed",
+      })
+    }
+  }
+)
+
+// Answer an offer with different fee or terms
+app.post(
+  "/api/offers/:offerId/counter",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const loaded = await loadOfferForResponse(req, res)
+      if (!loaded) return
+      const { match, side } = loaded
+
+      const { errors, offer: fields } = parseOffer(req.body, match.campaignId)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const countered = await closeOffer(loaded.offer, "countered", req.user)
+      if (!countered) return offerClosedResponse(res)
+
+      let offer
+      try {
+        offer = await createOffer(match, fields, side, req.user, countered._id)
+      } catch (error) {
+        if (error.code !== 11000) throw error
+        await Offer.updateOne(
+          { _id: countered._id },
+          { status: "open", respondedBy: null, respondedAt: null }
+        )
+        return res.status(409).json({
+          success: false,
+          message: "Another offer was made at the same time",
+        })
+      }
+
+      console.log("✅ Offer countered")
+
+      await recordAudit(req, {
+        action: "offer.counter",
+        targetType: "Offer",
+        after: offer,
+        metadata: { matchId: match._id, counterOf: countered._id },
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          offer: formatOfferData(offer),
+        },
+        message: "Counter-offer made successfully",
+      })
+    } catch (error) {
+      console.log("❌ Counter-offer failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Counter-offer failed",
+      })
+    }
+  }
+)
+
+// ==================== COLLABORATION ROUTES ====================
+
+const COLLABORATION_LIST_SORTS = {
+  newest: { field: "createdAt", order: -1, type: "date" },
+  oldest: { field: "createdAt", order: 1, type: "date" },
+}
+
+// Load a collaboration whose match the signed-in user is part of, with the
+// side they are on
+const loadCollaborationForUser = async (req, res) => {
+  const { collaborationId } = req.params
+
+  const collaboration = mongoose.isValidObjectId(collaborationId)
+    ? await Collaboration.findById(collaborationId)
+    : null
+  if (!collaboration) {
+    res.status(404).json({
+      success: false,
+      message: "Collaboration not found",
+    })
+    return null
+  }
+
+  const match = await loadMatchForUser(req, res, collaboration.matchId)
+  if (!match) return null
+
+  return { collaboration, side: await matchSideFor(req.user, match) }
+}
+
+// Start tracking the work for a confirmed match
+app.post(
+  "/api/matches/:matchId/collaboration",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const match = await loadMatchForUser(req, res, req.params.matchId)
+      if (!match) return
+
+      if (match.status !== "confirmed" || match.archivedAt) {
+        return res.status(409).json({
+          success: false,
+          message: "Collaborations can only be started for confirmed matches",
+        })
+      }
+
+      const { errors, deliverables, milestones } = parseCollaborationPlan(
+        req.body
+      )
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      let collaboration
+      try {
+        collaboration = await Collaboration.create({
+          matchId: match._id,
+          campaignId: match.campaignId._id,
+          videoId: match.videoId._id,
+          creatorId: match.videoId.creatorId,
+          createdBy: req.user._id,
+          deliverables,
+          milestones,
+        })
+      } catch (error) {
+        if (error.code !== 11000) throw error
+        return res.status(409).json({
+          success: false,
+          message: "This match already has a collaboration",
+        })
+      }
+
+      console.log("✅ Collaboration created")
+
+      await recordAudit(req, {
+        action: "collaboration.create",
+        targetType: "Collaboration",
+        after: collaboration,
+        metadata: { matchId: match._id },
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          collaboration: formatCollaborationData(collaboration),
+        },
+        message: "Collaboration created successfully",
+      })
+    } catch (error) {
+      console.log("❌ Collaboration creation failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Collaboration creation failed",
+      })
+    }
+  }
+)
+
+// List the signed-in user's collaborations
+app.get(
+  "/api/collaborations",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("matches:read"),
+  async (req, res) => {
+    try {
+      const page = parsePagination(
+        req.query,
+        COLLABORATION_LIST_SORTS,
+        "newest"
+      )
+      const errors = [...page.errors]
+      const filter = enumFilter(
+        req.query,
+        "status",
+        Collaboration.schema.path("status").enumValues,
+        errors
+      )
+      const { overdue } = booleanFilter(req.query, "overdue", "overdue", errors)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      if (overdue === true) filter.$and = [overdueCollaborationFilter()]
+      if (overdue === false) filter.$nor = [overdueCollaborationFilter()]
+
+      if (req.user.role === "creator") {
+        filter.creatorId = req.user._id
+      } else {
+        const campaignIds = await Campaign.find(
+          await marketerScope(req.user)
+        ).distinct("_id")
+        filter.campaignId = { $in: campaignIds }
+      }
+
+      const collaborations = await Collaboration.find(page.where(filter))
+        .sort(page.sort)
+        .limit(page.limit + 1)
+      const { items, nextCursor } = page.result(collaborations)
+
+      console.log("✅ Collaborations retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          collaborations: items.map(formatCollaborationData),
+          nextCursor,
+        },
+        message: "Collaborations retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Collaborations retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Collaborations retrieval failed",
+      })
+    }
+  }
+)
+
+app.get(
+  "/api/collaborations/:collaborationId",
+  authenticateToken,
+  requireScope("matches:read"),
+  async (req, res) => {
+    try {
+      const loaded = await loadCollaborationForUser(req, res)
+      if (!loaded) return
+
+      console.log("✅ Collaboration retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          collaboration: formatCollaborationData(loaded.collaboration),
+        },
+        message: "Collaboration retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Collaboration retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Collaboration retrieval failed",
+      })
+    }
+  }
+)
+
+// Update a milestone's status (its owner) or due date (the marketer). The
+// change is logged in the collaboration's updates.
+app.patch(
+  "/api/collaborations/:collaborationId/milestones/:milestoneId",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const { status, note } = req.body
+
+      const errors = []
+      if (status === undefined && req.body.dueAt === undefined) {
+        errors.push("Send a status or a dueAt")
+      }
+      if (status !== undefined && !MILESTONE_STATUSES.includes(status)) {
+        errors.push(`status must be one of: ${MILESTONE_STATUSES.join(", ")}`)
+      }
+      const dueAt =
+        req.body.dueAt === undefined
+          ? undefined
+          : parseDueAt(req.body.dueAt, "dueAt", errors)
+      const noteError = note !== undefined && string(2000)(note, "note")
+      if (noteError) errors.push(noteError)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const loaded = await loadCollaborationForUser(req, res)
+      if (!loaded) return
+      const { collaboration, side } = loaded
+
+      const { milestoneId } = req.params
+      const milestone = mongoose.isValidObjectId(milestoneId)
+        ? collaboration.milestones.id(milestoneId)
+        : null
+      if (!milestone) {
+        return res.status(404).json({
+          success: false,
+          message: "Milestone not found",
+        })
+      }
+
+      if (status !== undefined && side !== milestone.owner) {
+        return res.status(403).json({
+          success: false,
+          message: `Only the ${milestone.owner} can update this milestone's status`,
+        })
+      }
+      if (dueAt !== undefined && side !== "marketer") {
+        return res.status(403).json({
+          success: false,
+          message: "Only the marketer can move due dates",
+        })
+      }
+      if (collaboration.status !== "active" || milestone.status === "done") {
+        return res.status(409).json({
+          success: false,
+          message: "Milestones cannot change once they are done",
+        })
+      }
+
+      const before = snapshot(collaboration)
+      const now = new Date()
+
+      const changes = []
+      if (status !== undefined && status !== milestone.status) {
+        milestone.status = status
+        milestone.completedAt = status === "done" ? now : null
+        changes.push(`marked ${status.replace("_", " ")}`)
+      }
+      if (
+        dueAt !== undefined &&
+        dueAt.getTime() !== milestone.dueAt.getTime()
+      ) {
+        milestone.dueAt = dueAt
+        milestone.overdueSince = null
+        changes.push(`due date moved to ${dueAt.toISOString().slice(0, 10)}`)
+      }
+
+      if (changes.length || note?.trim()) {
+        collaboration.updates.push({
+          authorId: req.user._id,
+          side,
+          milestoneId: milestone._id,
+          message: [
+            changes.length && `${milestone.title}: ${changes.join(", ")}`,
+            note?.trim(),
+          ]
+            .filter(Boolean)
+            .join("\n"),
+        })
+      }
+
+      if (collaboration.milestones.every((m) => m.status === "done")) {
+        collaboration.status = "completed"
+        collaboration.completedAt = now
+      }
+
+      await collaboration.save()
+
+      console.log("✅ Milestone updated")
+
+      await recordAudit(req, {
+        action: "collaboration.milestone_update",
+        targetType: "Collaboration",
+        before,
+        after: collaboration,
+        metadata: { milestoneId: milestone._id },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          collaboration: formatCollaborationData(collaboration),
+        },
+        message: "Milestone updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Milestone update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Milestone update failed",
+      })
+    }
+  }
+)
+
+// Post a status note, optionally about one milestone
+app.post(
+  "/api/collaborations/:collaborationId/updates",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("matches:write"),
+  async (req, res) => {
+    try {
+      const { message, milestoneId = null } = req.body
+
+      const messageError = requiredString(2000)(message, "message")
+      if (messageError) {
+        return res.status(400).json({
+          success: false,
+          message: messageError,
+        })
+      }
+
+      const loaded = await loadCollaborationForUser(req, res)
+      if (!loaded) return
+      const { collaboration, side } = loaded
+
+      if (
+        milestoneId !== null &&
+        !(
+          mongoose.isValidObjectId(milestoneId) &&
+          collaboration.milestones.id(milestoneId)
+        )
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "milestoneId is not a milestone of this collaboration",
+        })
+      }
+
+      collaboration.updates.push({
+        authorId: req.user._id,
+        side,
+        milestoneId,
+        message: message.trim(),
+      })
+      await collaboration.save()
+      const update = collaboration.updates[collaboration.updates.length - 1]
+
+      console.log("✅ Collaboration update posted")
+
+      await recordAudit(req, {
+        action: "collaboration.update_post",
+        targetType: "Collaboration",
+        targetId: collaboration._id,
+        metadata: { updateId: update._id, milestoneId },
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          update: formatCollaborationUpdate(update),
+        },
+        message: "Update posted successfully",
+      })
+    } catch (error) {
+      console.log("❌ Collaboration update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Collaboration update failed",
+      })
+    }
+  }
+)
+
+// ==================== PAYMENT ROUTES ====================
+
+const LEDGER_LIST_SORTS = {
+  newest: { field: "createdAt", order: -1, type: "date" },
+  oldest: { field: "createdAt", order: 1, type: "date" },
+}
+
+// Validate { amount, currency } for a deposit or payout. Returns { errors,
+// amount } with the amount in minor units.
+const parseMoney = (body) => {
+  const errors = []
+  const amount = parseAmount(body.amount ?? "", "amount", errors)
+  if (amount === null || amount === 0) {
+    errors.push("amount must be more than 0")
+  }
+  if (
+    body.currency !== undefined &&
+    !(typeof body.currency === "string" && /^[A-Z]{3}$/.test(body.currency))
+  ) {
+    errors.push("currency must be a 3-letter ISO 4217 code, e.g. USD")
+  }
+  return { errors, amount: errors.length ? null : toMinor(amount) }
+}
+
+// Optional Idempotency-Key header, scoped to the user and action. Answers
+// 400 and returns false when it is malformed.
+const idempotencyKeyFor = (req, res, action) => {
+  const key = req.get("Idempotency-Key")
+  if (key === undefined) return null
+  if (!/^[\w-]{1,100}$/.test(key)) {
+    res.status(400).json({
+      success: false,
+      message:
+        "Idempotency-Key must be 1-100 letters, numbers, dashes or underscores",
+    })
+    return false
+  }
+  return `${action}:${req.user._id}:${key}`
+}
+
+// Add money to the marketer's wallet through the payment provider
+app.post(
+  "/api/payments/deposits",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("payments:write"),
+  async (req, res) => {
+    try {
+      const { currency = "USD", paymentMethod } = req.body
+      const { errors, amount } = parseMoney(req.body)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const key = idempotencyKeyFor(req, res, "deposit")
+      if (key === false) return
+
+      const replayed =
+        key && (await LedgerTransaction.findOne({ idempotencyKey: key }))
+      if (replayed) {
+        return res.json({
+          success: true,
+          data: {
+            transaction: formatLedgerTransactionData(replayed),
+          },
+          message: "Deposit already recorded",
+        })
+      }
+
+      let charge
+      try {
+        charge = await paymentProvider.charge({
+          amount,
+          currency,
+          userId: req.user._id,
+          paymentMethod,
+          idempotencyKey: key,
+        })
+      } catch (error) {
+        if (!error.declined) throw error
+        return res.status(402).json({
+          success: false,
+          message: error.message,
+        })
+      }
+
+      const transaction = await recordDeposit({
+        user: req.user,
+        amount,
+        currency,
+        provider: paymentProvider.name,
+        reference: charge.reference,
+        key,
+      })
+
+      console.log("✅ Deposit recorded")
+
+      await recordAudit(req, {
+        action: "payment.deposit",
+        targetType: "LedgerTransaction",
+        after: transaction,
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          transaction: formatLedgerTransactionData(transaction),
+        },
+        message: "Deposit recorded successfully",
+      })
+    } catch (error) {
+      console.log("❌ Deposit failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Deposit failed",
+      })
+    }
+  }
+)
+
+// Ask the provider to send a pending payout. Only a decline reverses it;
+// any other failure (e.g. a timeout, when the money may have left) keeps it
+// pending, to be retried with the same Idempotency-Key or reconciled.
+// Resolves to { payout, declined } with the decline message.
+const settlePayout = async (payout) => {
+  try {
+    const { reference } = await paymentProvider.payout({
+      amount: payout.amount,
+      currency: payout.currency,
+      userId: payout.createdBy,
+      idempotencyKey: payout.idempotencyKey || `payout:${payout._id}`,
+    })
+    await markPayoutPaid(payout, reference)
+  } catch (error) {
+    if (!error.declined) {
+      console.log("❌ Payout left pending:", error.message)
+      return { payout, declined: null }
+    }
+    await reversePayout(payout)
+    return {
+      payout: await LedgerTransaction.findById(payout._id),
+      declined: error.message,
+    }
+  }
+  return {
+    payout: await LedgerTransaction.findById(payout._id),
+    declined: null,
+  }
+}
+
+// Answer with what actually happened to a payout: 201 (200 on replay) once
+// paid, 202 while pending and 402 once declined and reversed
+const sendPayoutResult = (res, payout, declined, replayed) => {
+  const data = { transaction: formatLedgerTransactionData(payout) }
+  if (payout.status === "reversed") {
+    return res.status(402).json({
+      success: false,
+      data,
+      message:
+        declined ||
+        "The payout was declined and the amount returned to your balance",
+    })
+  }
+  if (payout.status === "pending") {
+    return res.status(202).json({
+      success: true,
+      data,
+      message: "Payout is pending confirmation from the payment provider",
+    })
+  }
+  res.status(replayed ? 200 : 201).json({
+    success: true,
+    data,
+    message: replayed
+      ? "Payout already recorded"
+      : "Payout recorded successfully",
+  })
+}
+
+// Withdraw the creator's earnings through the payment provider
+app.post(
+  "/api/payments/payouts",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("payments:write"),
+  async (req, res) => {
+    try {
+      const { currency = "USD" } = req.body
+      const { errors, amount } = parseMoney(req.body)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const key = idempotencyKeyFor(req, res, "payout")
+      if (key === false) return
+
+      const replayed =
+        key && (await LedgerTransaction.findOne({ idempotencyKey: key }))
+      if (replayed) {
+        // A payout the provider never confirmed is sent again; the key
+        // keeps the provider from paying it twice
+        const { payout, declined } =
+          replayed.status === "pending"
+            ? await settlePayout(replayed)
+            : { payout: replayed, declined: null }
+        return sendPayoutResult(res, payout, declined, true)
+      }
+
+      // Take the money out of the wallet first so it cannot be paid twice
+      const transaction = await recordPayout({
+        user: req.user,
+        amount,
+        currency,
+        provider: paymentProvider.name,
+        key,
+      })
+      if (!transaction) {
+        return res.status(409).json({
+          success: false,
+          message: "Insufficient balance",
+        })
+      }
+
+      const { payout, declined } = await settlePayout(transaction)
+
+      console.log(`✅ Payout ${payout.status}`)
+
+      await recordAudit(req, {
+        action: "payment.payout",
+        targetType: "LedgerTransaction",
+        after: payout,
+      })
+
+      sendPayoutResult(res, payout, declined, false)
+    } catch (error) {
+      console.log("❌ Payout failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Payout failed",
+      })
+    }
+  }
+)
+
+// Wallet and escrow balances of the signed-in user
+app.get(
+  "/api/payments/balances",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("payments:read"),
+  async (req, res) => {
+    try {
+      const balances = await balancesFor(req.user)
+
+      console.log("✅ Balances retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          balances,
+        },
+        message: "Balances retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Balances retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Balances retrieval failed",
+      })
+    }
+  }
+)
+
+// Ledger transactions the signed-in user is party to
+app.get(
+  "/api/payments/transactions",
+  authenticateToken,
+  requireRole("creator", "marketer"),
+  requireScope("payments:read"),
+  async (req, res) => {
+    try {
+      const page = parsePagination(req.query, LEDGER_LIST_SORTS, "newest")
+      const errors = [...page.errors]
+      const filter = enumFilter(
+        req.query,
+        "type",
+        LedgerTransaction.schema.path("type").enumValues,
+        errors
+      )
+      const currencies = queryList(req.query.currency)
+      if (currencies.some((currency) => !/^[A-Z]{3}$/.test(currency))) {
+        errors.push("currency must be 3-letter ISO 4217 codes, e.g. USD")
+      }
+      if (currencies.length) filter.currency = { $in: currencies }
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const transactions = await LedgerTransaction.find(
+        page.where({ ...filter, parties: req.user._id })
+      )
+        .sort(page.sort)
+        .limit(page.limit + 1)
+      const { items, nextCursor } = page.result(transactions)
+
+      console.log("✅ Transactions retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          transactions: items.map(formatLedgerTransactionData),
+          nextCursor,
+        },
+        message: "Transactions retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Transactions retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Transactions retrieval failed",
+      })
+    }
+  }
+)
+
+// Hold a confirmed match's agreed fee in escrow until it is completed
+app.post(
+  "/api/matches/:matchId/escrow",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("payments:write"),
+  async (req, res) => {
+    try {
+      const match = await loadMatchForUser(req, res, req.params.matchId)
+      if (!match) return
+
+      let blocker = null
+      if (match.status !== "confirmed" || match.archivedAt) {
+        blocker = "Escrow can only be funded for confirmed matches"
+      } else if (!match.agreedTerms) {
+        blocker = "Agree on terms through an offer before funding escrow"
+      } else if (
+        await LedgerTransaction.exists({
+          matchId: match._id,
+          type: "escrow_hold",
+        })
+      ) {
+        blocker = "Escrow for this match is already funded"
+      }
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          message: blocker,
+        })
+      }
+
+      const transaction = await holdEscrow(
+        match,
+        match.videoId.creatorId,
+        req.user
+      )
+      if (!transaction) {
+        const { amount, currency } = match.agreedTerms
+        return res.status(409).json({
+          success: false,
+          message: `Insufficient balance; deposit at least ${amount} ${currency} first`,
+        })
+      }
+
+      console.log("✅ Escrow funded")
+
+      await recordAudit(req, {
+        action: "escrow.hold",
+        targetType: "LedgerTransaction",
+        after: transaction,
+        metadata: { matchId: match._id },
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          transaction: formatLedgerTransactionData(transaction),
+        },
+        message: "Escrow funded successfully",
+      })
+    } catch (error) {
+      console.log("❌ Escrow funding failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Escrow funding failed",
+      })
+    }
+  }
+)
+
+// Escrow state and money movements of one match, for both sides
+app.get(
+  "/api/matches/:matchId/escrow",
+  authenticateToken,
+  requireScope("payments:read"),
+  async (req, res) => {
+    try {
+      const match = await loadMatchForUser(req, res, req.params.matchId)
+      if (!match) return
+
+      const escrow = await escrowAccountFor(match._id)
+      const transactions = await LedgerTransaction.find({
+        matchId: match._id,
+      }).sort({ createdAt: 1 })
+
+      console.log("✅ Escrow retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          escrow: escrow
+            ? { currency: escrow.currency, held: toMajor(escrow.balance) }
+            : null,
+          transactions: transactions.map(formatLedgerTransactionData),
+        },
+        message: "Escrow retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Escrow retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Escrow retrieval failed",
+      })
+    }
+  }
+)
+
+// ==================== AI MATCHING ROUTES ====================
+
+// Screen one video-campaign pair against the campaign's targeting, then
+// score it with AI unless a fresh match exists. Returns { match, generated }
+// or { exclusion } for a pair the campaign rules out.
+const matchPair = async (video, campaign) => {
+  const existingMatch = await Match.findOne({
+    videoId: video._id,
+    campaignId: campaign._id,
+  })
+
+  // Proposed matches that no longer pass the rules are dropped; once
+  // either side has acted on a match it is kept
+  const dropProposedMatch = async () => {
+    if (existingMatch?.status === "proposed") {
+      await existingMatch.deleteOne()
+      await refreshVideoStatus(video._id)
+    }
+  }
+
+  const exclusion = targetingExclusion(campaign, video)
+  if (exclusion) {
+    await dropProposedMatch()
+    return { exclusion }
+  }
+
+  // Stale matches get re-scored below
+  if (existingMatch && !existingMatch.isStale) {
+    return { match: await populateMatch(existingMatch._id) }
+  }
+
+  const aiResult = await geminiService.findMatches(video, campaign)
+
+  const lowScore = scoreExclusion(campaign, aiResult.score)
+  if (lowScore) {
+    await dropProposedMatch()
+    return { exclusion: lowScore }
+  }
+
+  const newMatch =
+    existingMatch ||
+    new Match({
+      videoId: video._id,
+      campaignId: campaign._id,
+    })
+  newMatch.matchScore = aiResult.score
+  newMatch.reasoning = aiResult.reasoning
+  newMatch.isStale = false
+  newMatch.staleSince = undefined
+  await newMatch.save()
+
+  await refreshVideoStatus(video._id)
+
+  return { match: await populateMatch(newMatch._id), generated: true }
+}
+
+// Creators are not told that a campaign lists them by name
+const reportedExclusion = (exclusion, user) =>
+  user.role === "creator" && exclusion.code.startsWith("creator_")
+    ? { code: "not_eligible", reason: "Not eligible for this campaign" }
+    : exclusion
+
+// Find matches
+app.post(
+  "/api/ai/find-matches",
+  authenticateToken,
+  requireScope("ai:match"),
+  aiMatchLimiter,
+  async (req, res) => {
+    try {
+      const { videoId, campaignId } = req.body
+
+      if (!videoId && !campaignId) {
+        return res.status(400).json({
+          success: false,
+          message: "Either videoId or campaignId is required",
+        })
+      }
+
+      let matches = []
+      const generatedMatchIds = []
+      const excluded = []
+
+      const screenPair = async (video, campaign) => {
+        const result = await matchPair(video, campaign)
+        if (result.exclusion) {
+          excluded.push({
+            videoId: video._id,
+            campaignId: campaign._id,
+            ...reportedExclusion(result.exclusion, req.user),
+          })
+          return
+        }
+        matches.push(result.match)
+        if (result.generated) generatedMatchIds.push(result.match._id)
+      }
+
+      if (videoId) {
+        // Find matches for a specific video
+        const video = await Video.findById(videoId).populate(
+          "creatorId",
+          "name"
+        )
+        if (!video) {
+          return res.status(404).json({
+            success: false,
+            message: "Video not found",
+          })
+        }
+
+        // Verify video belongs to the creator
+        if (
+          req.user.role === "creator" &&
+          video.creatorId._id.toString() !== req.user._id.toString()
+        ) {
+          return res.status(403).json({
+            success: false,
+            message: "Unauthorized",
+          })
+        }
+
+        // Only campaigns that are live right now can be matched
+        const campaigns = await Campaign.find(
+          eligibleCampaignFilter()
+        ).populate("marketerId", "name")
+
+        for (const campaign of campaigns) {
+          await screenPair(video, campaign)
+        }
+      }
+
+      if (campaignId) {
+        // Find matches for a specific campaign
+        const campaign = await Campaign.findById(campaignId).populate(
+          "marketerId",
+          "name"
+        )
+        if (!campaign) {
+          return res.status(404).json({
+            success: false,
+            message: "Campaign not found",
+          })
+        }
+
+        // Verify campaign belongs to the marketer or their organization
+        if (
+          req.user.role === "marketer" &&
+          !isInScope(campaign, await marketerScope(req.user))
+        ) {
+          return res.status(403).json({
+            success: false,
+            message: "Unauthorized",
+          })
+        }
+
+        const ineligible = campaignIneligibility(campaign)
+        if (ineligible) {
+          return res.status(409).json({
+            success: false,
+            message: `${ineligible}; only active campaigns inside their schedule can be matched`,
+          })
+        }
+
+        const videos = await Video.find().populate("creatorId", "name")
+
+        for (const video of videos) {
+          await screenPair(video, campaign)
+        }
+      }
+
+      // Sort matches by score (highest first)
+      matches.sort((a, b) => b.matchScore - a.matchScore)
+
+      console.log("✅ AI matches generated")
+
+      await recordAudit(req, {
+        action: "ai.find_matches",
+        targetType: videoId ? "Video" : "Campaign",
+        targetId: videoId || campaignId,
+        metadata: {
+          videoId,
+          campaignId,
+          generatedMatchIds,
+          totalMatches: matches.length,
+          excludedPairs: excluded.length,
+        },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          matches: matches.map(formatMatchData),
+          excluded,
+        },
+        message: "Matches generated successfully",
+      })
+    } catch (error) {
+      console.log("❌ AI matching failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "AI matching failed",
+      })
+    }
+  }
+)
+
+// ==================== ANALYTICS ROUTES ====================
+
+// Creator analytics
+app.get(
+  "/api/analytics/creator",
+  authenticateToken,
+  requireRole("creator"),
+  requireScope("analytics:read"),
+  async (req, res) => {
+    try {
+      const totalVideos = await Video.countDocuments({
+        creatorId: req.user._id,
+      })
+
+      const videoIds = await Video.find({ creatorId: req.user._id }).select(
+        "_id"
+      )
+      const videoIdList = videoIds.map((v) => v._id)
+
+      const matchesByStatus = await countMatchesByStatus({
+        videoId: { $in: videoIdList },
+      })
+
+      console.log("✅ Creator analytics retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          totalVideos,
+          matchesByStatus,
+        },
+        message: "Creator analytics retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Creator analytics failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Creator analytics failed",
+      })
+    }
+  }
+)
+
+// Marketer analytics
+app.get(
+  "/api/analytics/marketer",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("analytics:read"),
+  async (req, res) => {
+    try {
+      const scope = await marketerScope(req.user)
+
+      const totalCampaigns = await Campaign.countDocuments(scope)
+
+      const campaignIds = await Campaign.find(scope).select("_id")
+      const campaignIdList = campaignIds.map((c) => c._id)
+
+      const totalMatches = await Match.countDocuments({
+        campaignId: { $in: campaignIdList },
+      })
+
+      const matchesByStatus = await countMatchesByStatus({
+        campaignId: { $in: campaignIdList },
+      })
+
+      console.log("✅ Marketer analytics retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          totalCampaigns,
+          totalMatches,
+          matchesByStatus,
+        },
+        message: "Marketer analytics retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Marketer analytics failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Marketer analytics failed",
+      })
+    }
+  }
+)
+
+// ==================== AI CHAT SYSTEM ROUTES ====================
+
+// Format functions for chat system
+const formatChatData = (chat) => ({
+  id: chat._id,
+  title: chat.title,
+  marketerId: chat.marketerId,
+  organizationId: chat.organizationId,
+  isActive: chat.isActive,
+  createdAt: chat.createdAt,
+})
+
+const formatMessageData = (message) => ({
+  id: message._id,
+  chatId: message.chatId,
+  content: message.content,
+  sender: message.sender,
+  metadata: message.metadata,
+  createdAt: message.createdAt,
+})
+
+// Create new chat
+app.post(
+  "/api/chat/create",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("chat:write"),
+  async (req, res) => {
+    try {
+      const { title } = req.body
+
+      if (!title) {
+        return res.status(400).json({
+          success: false,
+          message: "Chat title is required",
+        })
+      }
+
+      const membership = await getMembership(req.user._id)
+
+      const chat = new Chat({
+        title,
+        marketerId: req.user._id,
+        organizationId: membership?.organization._id || null,
+      })
+
+      await chat.save()
+      console.log("✅ Chat created successfully")
+
+      await recordAudit(req, {
+        action: "chat.create",
+        targetType: "Chat",
+        after: chat,
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          chat: formatChatData(chat),
+        },
+        message: "Chat created successfully",
+      })
+    } catch (error) {
+      console.log("❌ Chat creation failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Chat creation failed",
+      })
+    }
+  }
+)
+
+const CHAT_LIST_SORTS = {
+  newest: { field: "createdAt", order: -1, type: "date" },
+  oldest: { field: "createdAt", order: 1, type: "date" },
+  title: { field: "title", order: 1, type: "string" },
+}
+
+// Get marketer's chats
+app.get(
+  "/api/chat/my-chats",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("chat:read"),
+  async (req, res) => {
+    try {
+      const page = parsePagination(req.query, CHAT_LIST_SORTS, "newest")
+      const errors = [...page.errors]
+      const filter = booleanFilter(req.query, "active", "isActive", errors)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      const chats = await Chat.find(
+        page.where({ ...filter, ...(await marketerScope(req.user)) })
+      )
+        .sort(page.sort)
+        .limit(page.limit + 1)
+      const { items, nextCursor } = page.result(chats)
+
+      console.log("✅ Chats retrieved successfully")
+
+      res.json({
+        success: true,
+        data: {
+          chats: items.map(formatChatData),
+          nextCursor,
+        },
+        message: "Chats retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Chats retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Chats retrieval failed",
+      })
+    }
+  }
+)
+
+// Messages read oldest first by default, like a conversation
+const MESSAGE_LIST_SORTS = {
+  oldest: { field: "createdAt", order: 1, type: "date" },
+  newest: { field: "createdAt", order: -1, type: "date" },
+}
+
+// Get chat messages
+app.get(
+  "/api/chat/:chatId/messages",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("chat:read"),
+  async (req, res) => {
+    try {
+      const { chatId } = req.params
+
+      const page = parsePagination(req.query, MESSAGE_LIST_SORTS, "oldest")
+      const errors = [...page.errors]
+      const filter = enumFilter(
+        req.query,
+        "sender",
+        Message.schema.path("sender").enumValues,
+        errors
+      )
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
+
+      // Verify chat belongs to the marketer or their organization
+      const chat = await Chat.findOne({
+        _id: chatId,
+        ...(await marketerScope(req.user)),
+      })
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat not found",
+        })
+      }
+
+      const messages = await Message.find(page.where({ ...filter, chatId }))
+        .sort(page.sort)
+        .limit(page.limit + 1)
+      const { items, nextCursor } = page.result(messages)
+
+      console.log("✅ Chat messages retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          messages: items.map(formatMessageData),
+          nextCursor,
+        },
+        message: "Messages retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Messages retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Messages retrieval failed",
+      })
+    }
+  }
+)
+
+// Send message to chat
+app.post(
+  "/api/chat/:chatId/message",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("chat:write"),
+  chatMessageLimiter,
+  async (req, res) => {
+    try {
+      const { chatId } = req.params
+      const { content } = req.body
+
+      if (!content) {
+        return res.status(400).json({
+          success: false,
+          message: "Message content is required",
+        })
+      }
+
+      // Verify chat belongs to the marketer or their organization
+      const chat = await Chat.findOne({
+        _id: chatId,
+        ...(await marketerScope(req.user)),
+      })
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat not found",
+        })
+      }
+
+      // Save user message
+      const userMessage = new Message({
+        chatId,
+        content,
+        sender: "user",
+      })
+      await userMessage.save()
+
+      // Get data for AI context: only the campaigns that are live now
+      const campaigns = await Campaign.find({
+        ...(await marketerScope(req.user)),
+        ...eligibleCampaignFilter(),
+      }).populate("marketerId", "name")
+
+      const videos = await Video.find().populate("creatorId", "name")
+
+      // Generate AI response
+      const aiResponse = await geminiService.processChatQuery(
+        content,
+        campaigns.map(formatCampaignData),
+        videos.map(formatVideoData)
+      )
+
+      // Save AI message
+      const aiMessage = new Message({
+        chatId,
+        content: aiResponse,
+        sender: "ai",
+      })
+      await aiMessage.save()
+
+      console.log("✅ Chat messages sent and AI response generated")
+
+      await recordAudit(req, {
+        action: "chat.message",
+        targetType: "Chat",
+        targetId: chat._id,
+        metadata: {
+          userMessageId: userMessage._id,
+          aiMessageId: aiMessage._id,
+        },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          userMessage: formatMessageData(userMessage),
+          aiMessage: formatMessageData(aiMessage),
+        },
+        message: "Messages sent successfully",
+      })
+    } catch (error) {
+      console.log("❌ Message sending failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Message sending failed",
+      })
+    }
+  }
+)
+
+// Delete chat
+app.delete(
+  "/api/chat/:chatId",
+  authenticateToken,
+  requireRole("marketer"),
+  requireScope("chat:write"),
+  async (req, res) => {
+    try {
+      const { chatId } = req.params
+
+      // Verify chat belongs to the marketer or their organization
+      const chat = await Chat.findOne({
+        _id: chatId,
+        ...(await marketerScope(req.user)),
+      })
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat not found",
+        })
+      }
+
+      // Delete all messages in the chat
+      const { deletedCount } = await Message.deleteMany({ chatId })
+
+      // Delete the chat
+      await Chat.findByIdAndDelete(chatId)
+
+      console.log("✅ Chat deleted successfully")
+
+      await recordAudit(req, {
+        action: "chat.delete",
+        targetType: "Chat",
+        before: chat,
+        metadata: { deletedMessages: deletedCount },
+      })
+
+      res.json({
+        success: true,
+        message: "Chat deleted successfully",
+      })
+    } catch (error) {
+      console.log("❌ Chat deletion failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Chat deletion failed",
+      })
+    }
+  }
+)
+
+// ==================== ORGANIZATION ROUTES ====================
+
+const formatOrganizationData = (organization) => ({
+  id: organization._id,
+  name: organization.name,
+  ownerId: organization.ownerId,
+  members: organization.members.map((member) => ({
+    userId: member.userId?._id || member.userId,
+    name: member.userId?.name,
+    email: member.userId?.email,
+    role: member.role,
+    joinedAt: member.joinedAt,
+  })),
+  createdAt: organization.createdAt,
+})
+
+const formatInvitationData = (invitation) => ({
+  id: invitation._id,
+  organizationId: invitation.organizationId,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+})
+
+// Load the organization from the route and check the caller's role in it
+const loadOrganizationMembership = async (req, res, minimumRole) => {
+  const { organizationId } = req.params
+
+  const membership = await getMembership(req.user._id)
+  if (
+    !membership ||
+    membership.organization._id.toString() !== organizationId
+  ) {
+    res.status(404).json({
+      success: false,
+      message: "Organization not found",
+    })
+    return null
+  }
+
+  if (!hasOrgRole(membership.role, minimumRole)) {
+    res.status(403).json({
+      success: false,
+      message: `Access denied. Organization ${minimumRole} role required.`,
+    })
+    return null
+  }
+
+  return membership
+}
+
+// Move the marketer's own campaigns and chats into the organization
+const shareWithOrganization = async (userId, organizationId) => {
+  await Campaign.updateMany(
+    { marketerId: userId, organizationId: null },
+    { organizationId }
+  )
+  await Chat.updateMany(
+    { marketerId: userId, organizationId: null },
+    { organizationId }
+  )
+}
+
+// Create organization
+app.post(
+  "/api/organizations",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const { name } = req.body
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Organization name is required",
+        })
+      }
+
+      if (await getMembership(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "You already belong to an organization",
+        })
+      }
+
+      const organization = new Organization({
+        name: name.trim(),
+        ownerId: req.user._id,
+        members: [{ userId: req.user._id, role: "owner" }],
+      })
+
+      await organization.save()
+      await shareWithOrganization(req.user._id, organization._id)
+
+      await organization.populate("members.userId", "name email")
+
+      console.log("✅ Organization created")
+
+      await recordAudit(req, {
+        action: "organization.create",
+        targetType: "Organization",
+        after: organization,
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          organization: formatOrganizationData(organization),
+        },
+        message: "Organization created successfully",
+      })
+    } catch (error) {
+      console.log("❌ Organization creation failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Organization creation failed",
+      })
+    }
+  }
+)
+
+// Get the marketer's organization
+app.get(
+  "/api/organizations/mine",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const membership = await getMembership(req.user._id)
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: "You do not belong to an organization",
+        })
+      }
+
+      await membership.organization.populate("members.userId", "name email")
+
+      console.log("✅ Organization retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          organization: formatOrganizationData(membership.organization),
+          role: membership.role,
+        },
+        message: "Organization retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Organization retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Organization retrieval failed",
+      })
+    }
+  }
+)
+
+// Rename organization
+app.patch(
+  "/api/organizations/:organizationId",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const { name } = req.body
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Organization name is required",
+        })
+      }
+
+      const membership = await loadOrganizationMembership(req, res, "admin")
+      if (!membership) return
+
+      const { organization } = membership
+      const before = snapshot(organization)
+
+      organization.name = name.trim()
+      await organization.save()
+
+      await recordAudit(req, {
+        action: "organization.update",
+        targetType: "Organization",
+        before,
+        after: organization,
+      })
+      await organization.populate("members.userId", "name email")
+
+      console.log("✅ Organization updated")
+
+      res.json({
+        success: true,
+        data: {
+          organization: formatOrganizationData(organization),
+        },
+        message: "Organization updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Organization update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Organization update failed",
+      })
+    }
+  }
+)
+
+// Invite a marketer by email
+app.post(
+  "/api/organizations/:organizationId/invitations",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const { email, role = "member" } = req.body
+
+      if (typeof email !== "string" || !email.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Email is required",
+        })
+      }
+
+      if (!["admin", "member"].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: "Role must be either admin or member",
+        })
+      }
+
+      const membership = await loadOrganizationMembership(req, res, "admin")
+      if (!membership) return
+
+      // Only the owner can hand out admin rights
+      if (role === "admin" && membership.role !== "owner") {
+        return res.status(403).json({
+          success: false,
+          message: "Only the owner can invite admins",
+        })
+      }
+
+      const { organization } = membership
+      const normalizedEmail = email.trim().toLowerCase()
+
+      const invitee = await User.findOne({ email: normalizedEmail })
+      if (
+        invitee &&
+        organization.members.some(
+          (m) => m.userId.toString() === invitee._id.toString()
+        )
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "User is already a member",
+        })
+      }
+
+      // A new invitation replaces any pending one for the same address
+      await Invitation.updateMany(
+        {
+          organizationId: organization._id,
+          email: normalizedEmail,
+          acceptedAt: null,
+          revokedAt: null,
+        },
+        { revokedAt: new Date() }
+      )
+
+      const token = generateToken(32)
+      const invitation = await Invitation.create({
+        organizationId: organization._id,
+        email: normalizedEmail,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: req.user._id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL),
+      })
+
+      try {
+        await mailer.sendOrganizationInvitation(
+          normalizedEmail,
+          organization,
+          req.user,
+          token
+        )
+      } catch (error) {
+        console.log("❌ Invitation email failed:", error.message)
+      }
+
+      console.log("✅ Organization invitation sent")
+
+      await recordAudit(req, {
+        action: "organization.invite",
+        targetType: "Invitation",
+        after: invitation,
+      })
+
+      res.status(201).json({
+        success: true,
+        data: {
+          invitation: formatInvitationData(invitation),
+        },
+        message: "Invitation sent successfully",
+      })
+    } catch (error) {
+      console.log("❌ Invitation failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Invitation failed",
+      })
+    }
+  }
+)
+
+// List pending invitations
+app.get(
+  "/api/organizations/:organizationId/invitations",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const membership = await loadOrganizationMembership(req, res, "admin")
+      if (!membership) return
+
+      const invitations = await Invitation.find({
+        organizationId: membership.organization._id,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ createdAt: -1 })
+
+      console.log("✅ Invitations retrieved")
+
+      res.json({
+        success: true,
+        data: {
+          invitations: invitations.map(formatInvitationData),
+        },
+        message: "Invitations retrieved successfully",
+      })
+    } catch (error) {
+      console.log("❌ Invitations retrieval failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Invitations retrieval failed",
+      })
+    }
+  }
+)
+
+// Revoke a pending invitation
+app.delete(
+  "/api/organizations/:organizationId/invitations/:invitationId",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const membership = await loadOrganizationMembership(req, res, "admin")
+      if (!membership) return
+
+      const { invitationId } = req.params
+
+      const invitation = mongoose.isValidObjectId(invitationId)
+        ? await Invitation.findOneAndUpdate(
+            {
+              _id: invitationId,
+              organizationId: membership.organization._id,
+              acceptedAt: null,
+              revokedAt: null,
+            },
+            { revokedAt: new Date() }
+          )
+        : null
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: "Invitation not found",
+        })
+      }
+
+      console.log("✅ Invitation revoked")
+
+      await recordAudit(req, {
+        action: "organization.invitation_revoke",
+        targetType: "Invitation",
+        before: invitation,
+      })
+
+      res.json({
+        success: true,
+        message: "Invitation revoked successfully",
+      })
+    } catch (error) {
+      console.log("❌ Invitation revocation failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Invitation revocation failed",
+      })
+    }
+  }
+)
+
+// Accept an invitation
+app.post(
+  "/api/organizations/invitations/accept",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const { token } = req.body
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: "Invitation token is required",
+        })
+      }
+
+      const invitation = await Invitation.findOne({
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+      if (!invitation || invitation.email !== req.user.email.toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired invitation",
+        })
+      }
+
+      if (await getMembership(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "You already belong to an organization",
+        })
+      }
+
+      // Claim the invitation first so it can only be used once
+      const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, acceptedAt: null, revokedAt: null },
+        { acceptedAt: new Date() },
+        { new: true }
+      )
+      if (!claimed) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired invitation",
+        })
+      }
+
+      // Conditional so parallel accepts cannot add the member twice
+      const organization = await Organization.findOneAndUpdate(
+        {
+          _id: invitation.organizationId,
+          "members.userId": { $ne: req.user._id },
+        },
+        {
+          $push: { members: { userId: req.user._id, role: invitation.role } },
+        },
+        { new: true }
+      ).populate("members.userId", "name email")
+      if (!organization) {
+        const exists = await Organization.exists({
+          _id: invitation.organizationId,
+        })
+        return res.status(exists ? 409 : 404).json({
+          success: false,
+          message: exists
+            ? "You are already a member of this organization"
+            : "Organization not found",
+        })
+      }
+
+      await shareWithOrganization(req.user._id, organization._id)
+
+      console.log("✅ Invitation accepted")
+
+      await recordAudit(req, {
+        action: "organization.join",
+        targetType: "Organization",
+        targetId: organization._id,
+        metadata: { invitationId: invitation._id, role: invitation.role },
+      })
+
+      res.json({
+        success: true,
+        data: {
+          organization: formatOrganizationData(organization),
+          role: invitation.role,
+        },
+        message: "Joined organization successfully",
+      })
+    } catch (error) {
+      console.log("❌ Invitation acceptance failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Invitation acceptance failed",
+      })
+    }
+  }
+)
+
+// Change a member's role. Making someone owner transfers ownership.
+app.put(
+  "/api/organizations/:organizationId/members/:userId",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params
+      const { role } = req.body
+
+      if (!ORG_ROLE_RANK[role]) {
+        return res.status(400).json({
+          success: false,
+          message: "Role must be one of: owner, admin, member",
+        })
+      }
+
+      const membership = await loadOrganizationMembership(req, res, "owner")
+      if (!membership) return
+
+      const { organization } = membership
+      const member = organization.members.find(
+        (m) => m.userId.toString() === userId
+      )
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        })
+      }
+
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "Transfer ownership to another member instead",
+        })
+      }
+
+      const before = snapshot(organization)
+
+      if (role === "owner") {
+        const owner = organization.members.find(
+          (m) => m.userId.toString() === req.user._id.toString()
+        )
+        owner.role = "admin"
+        organization.ownerId = member.userId
+      }
+      member.role = role
+
+      await organization.save()
+      await organization.populate("members.userId", "name email")
+
+      console.log("✅ Member role updated")
+
+      await recordAudit(req, {
+        action: "organization.member_role",
+        targetType: "Organization",
+        before,
+        after: organization,
+      })
+
+      res.json({
+        success: true,
+        data: {
+          organization: formatOrganizationData(organization),
+        },
+        message: "Member role updated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Member role update failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Member role update failed",
+      })
+    }
+  }
+)
+
+// Remove a member, or leave the organization when removing yourself
+app.delete(
+  "/api/organizations/:organizationId/members/:userId",
+  authenticateToken,
+  requireRole("marketer"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params
+      const isSelf = userId === req.user._id.toString()
+
+      const membership = await loadOrganizationMembership(
+        req,
+        res,
+        isSelf ? "member" : "admin"
+      )
+      if (!membership) return
+
+      const { organization } = membership
+      const member = organization.members.find(
+        (m) => m.userId.toString() === userId
+      )
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        })
+      }
+
+      if (member.role === "owner") {
+        return res.status(400).json({
+          success: false,
+          message: "The owner must transfer ownership before leaving",
+        })
+      }
+
+      // Members can only be removed by someone with a higher role
+      if (
+        !isSelf &&
+        ORG_ROLE_RANK[membership.role] <= ORG_ROLE_RANK[member.role]
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot remove this member",
+        })
+      }
+
+      const before = snapshot(organization)
+
+      // Campaigns and chats stay with the organization
+      organization.members = organization.members.filter(
+        (m) => m.userId.toString() !== userId
+      )
+      await organization.save()
+
+      console.log(isSelf ? "✅ Member left organization" : "✅ Member removed")
+
+      await recordAudit(req, {
+        action: isSelf ? "organization.leave" : "organization.member_remove",
+        targetType: "Organization",
+        before,
+        after: organization,
+      })
+
+      res.json({
+        success: true,
+        message: isSelf
+          ? "Left organization successfully"
+          : "Member removed successfully",
+      })
+    } catch (error) {
+      console.log("❌ Member removal failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Member removal failed",
+      })
+    }
+  }
+)
+
+// ==================== API KEY ROUTES ====================
+// Managed with a signed-in session only; an API key can never mint keys
+
+const MAX_ACTIVE_API_KEYS = 20
+
+const formatApiKeyData = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: `adv_${apiKey.prefix}`,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+})
+
+// Create API key
+app.post("/api/api-keys", authenticateToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body
+
+    const nameError = requiredString(100)(name, "name")
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        message: nameError,
+      })
+    }
+
+    if (!Array.isArray(scopes) || !scopes.length) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one scope is required",
+      })
+    }
+
+    const unknownScopes = scopes.filter((s) => !API_KEY_SCOPES.includes(s))
+    if (unknownScopes.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scopes: ${unknownScopes.join(", ")}`,
+      })
+    }
+
+    if (
+      expiresInDays !== undefined &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "expiresInDays must be a positive whole number",
+      })
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      userId: req.user._id,
+      revokedAt: null,
+    })
+    if (activeKeys >= MAX_ACTIVE_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_API_KEYS} active API keys`,
+      })
+    }
+
+    const { key, prefix, keyHash } = generateApiKey()
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name: name.trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null,
+    })
+
+    console.log("✅ API key created")
+
+    await recordAudit(req, {
+      action: "api_key.create",
+      targetType: "ApiKey",
+      after: apiKey,
+    })
+
+    // The full key is only ever returned here
+    res.status(201).json({
+      success: true,
+      data: {
+        apiKey: formatApiKeyData(apiKey),
+        key,
+      },
+      message: "API key created. Store it now; it will not be shown again.",
+    })
+  } catch (error) {
+    console.log("❌ API key creation failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "API key creation failed",
+    })
+  }
+})
+
+// List the user's API keys
+app.get("/api/api-keys", authenticateToken, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({
+      createdAt: -1,
+    })
+
+    console.log("✅ API keys retrieved")
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(formatApiKeyData),
+        availableScopes: API_KEY_SCOPES,
+      },
+      message: "API keys retrieved successfully",
+    })
+  } catch (error) {
+    console.log("❌ API keys retrieval failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "API keys retrieval failed",
+    })
+  }
+})
+
+// Revoke an API key
+app.delete("/api/api-keys/:keyId", authenticateToken, async (req, res) => {
+  try {
+    const { keyId } = req.params
+
+    const apiKey = mongoose.isValidObjectId(keyId)
+      ? await ApiKey.findOneAndUpdate(
+          { _id: keyId, userId: req.user._id, revokedAt: null },
+          { revokedAt: new Date() },
+          { new: true }
+        )
+      : null
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
       })
     }
+
+    console.log("✅ API key revoked")
+
+    await recordAudit(req, {
+      action: "api_key.revoke",
+      targetType: "ApiKey",
+      after: apiKey,
+    })
+
+    res.json({
+      success: true,
+      data: {
+        apiKey: formatApiKeyData(apiKey),
+      },
+      message: "API key revoked successfully",
+    })
+  } catch (error) {
+    console.log("❌ API key revocation failed:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "API key revocation failed",
+    })
   }
-)
+})
 
-// Get campaign matches
+// ==================== ADMIN ROUTES ====================
+
+// List and search users
 app.get(
-  "/api/matches/campaign/:campaignId",
+  "/api/admin/users",
   authenticateToken,
-  requireRole("marketer"),
+  requireRole("admin"),
   async (req, res) => {
     try {
-      const { campaignId } = req.params
+      const { q } = req.query
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || 20, 1),
+        100
+      )
 
-      // Verify campaign belongs to the marketer
-      const campaign = await Campaign.findOne({
-        _id: campaignId,
-        marketerId: req.user._id,
-      })
-      if (!campaign) {
-        return res.status(404).json({
+      const errors = []
+      for (const field of ["role", "status"]) {
+        const value = req.query[field]
+        if (value !== undefined && typeof value !== "string") {
+          errors.push(`${field} must be a single value`)
+        }
+      }
+      const filter = {
+        ...enumFilter(
+          req.query,
+          "role",
+          User.schema.path("role").enumValues,
+          errors
+        ),
+        ...enumFilter(
+          req.query,
+          "status",
+          User.schema.path("status").enumValues,
+          errors
+        ),
+      }
+      if (errors.length) {
+        return res.status(400).json({
           success: false,
-          message: "Campaign not found",
+          message: errors.join("; "),
         })
       }
+      if (q) {
+        const regex = new RegExp(escapeRegex(String(q)), "i")
+        filter.$or = [{ name: regex }, { email: regex }]
+      }
 
-      const matches = await Match.find({ campaignId })
-        .populate({
-          path: "videoId",
-          populate: { path: "creatorId", select: "name" },
-        })
-        .populate({
-          path: "campaignId",
-          populate: { path: "marketerId", select: "name" },
-        })
-        .sort({ createdAt: -1 })
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select("-password")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        User.countDocuments(filter),
+      ])
 
-      console.log("✅ Campaign matches retrieved")
+      console.log("✅ Admin user list retrieved")
 
       res.json({
         success: true,
         data: {
-          matches: matches.map(formatMatchData),
+          users: users.map(formatAdminUserData),
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
         },
-        message: "Campaign matches retrieved successfully",
+        message: "Users retrieved successfully",
       })
     } catch (error) {
-      console.log("❌ Campaign matches retrieval failed:", error.message)
+      console.log("❌ Admin user list failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Campaign matches retrieval failed",
+        message: "Users retrieval failed",
       })
     }
   }
 )
 
-// Accept match
+// Suspend a user account
 app.put(
-  "/api/matches/:matchId/accept",
+  "/api/admin/users/:userId/suspend",
   authenticateToken,
-  requireRole("creator"),
+  requireRole("admin"),
   async (req, res) => {
     try {
-      const { matchId } = req.params
+      const { userId } = req.params
+      const { reason } = req.body
 
-      const match = await Match.findById(matchId).populate("videoId")
-      if (!match) {
-        return res.status(404).json({
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({
           success: false,
-          message: "Match not found",
+          message: "You cannot suspend your own account",
         })
       }
 
-      // Verify the match belongs to the creator's video
-      if (match.videoId.creatorId.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
+      const user = mongoose.isValidObjectId(userId)
+        ? await User.findById(userId).select("-password")
+        : null
+      if (!user) {
+        return res.status(404).json({
           success: false,
-          message: "Unauthorized",
+          message: "User not found",
         })
       }
 
-      match.status = "accepted"
-      await match.save()
+      const before = snapshot(user)
 
-      // Update video status
-      await Video.findByIdAndUpdate(match.videoId._id, { status: "approved" })
+      user.status = "suspended"
+      user.suspendedAt = new Date()
+      user.suspensionReason = reason
+      await user.save()
 
-      console.log("✅ Match accepted")
+      // Kick the user off every device straight away
+      await revokeAllSessions(user._id, "suspended")
+
+      console.log("✅ User suspended")
+
+      await recordAudit(req, {
+        action: "admin.user_suspend",
+        targetType: "User",
+        before,
+        after: user,
+      })
 
       res.json({
         success: true,
         data: {
-          match: formatMatchData(match),
+          user: formatAdminUserData(user),
         },
-        message: "Match accepted successfully",
+        message: "User suspended successfully",
       })
     } catch (error) {
-      console.log("❌ Match acceptance failed:", error.message)
+      console.log("❌ User suspension failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Match acceptance failed",
+        message: "User suspension failed",
       })
     }
   }
 )
 
-// Reject match
+// Reactivate a suspended user account
 app.put(
-  "/api/matches/:matchId/reject",
+  "/api/admin/users/:userId/reactivate",
   authenticateToken,
-  requireRole("creator"),
+  requireRole("admin"),
   async (req, res) => {
     try {
-      const { matchId } = req.params
+      const { userId } = req.params
 
-      const match = await Match.findById(matchId).populate("videoId")
-      if (!match) {
+      const user = mongoose.isValidObjectId(userId)
+        ? await User.findById(userId).select("-password")
+        : null
+      if (!user) {
         return res.status(404).json({
           success: false,
-          message: "Match not found",
+          message: "User not found",
         })
       }
 
-      // Verify the match belongs to the creator's video
-      if (match.videoId.creatorId.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: "Unauthorized",
-        })
-      }
+      const before = snapshot(user)
+
+      user.status = "active"
+      user.suspendedAt = undefined
+      user.suspensionReason = undefined
+      await user.save()
 
-      match.status = "rejected"
-      await match.save()
+      await recordAudit(req, {
+        action: "admin.user_reactivate",
+        targetType: "User",
+        before,
+        after: user,
+      })
 
-      console.log("✅ Match rejected")
+      console.log("✅ User reactivated")
 
       res.json({
         success: true,
         data: {
-          match: formatMatchData(match),
+          user: formatAdminUserData(user),
         },
-        message: "Match rejected successfully",
+        message: "User reactivated successfully",
       })
     } catch (error) {
-      console.log("❌ Match rejection failed:", error.message)
+      console.log("❌ User reactivation failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Match rejection failed",
+        message: "User reactivation failed",
       })
     }
   }
 )
 
-// ==================== AI MATCHING ROUTES ====================
-
-// Find matches
-app.post("/api/ai/find-matches", authenticateToken, async (req, res) => {
-  try {
-    const { videoId, campaignId } = req.body
-
-    if (!videoId && !campaignId) {
-      return res.status(400).json({
-        success: false,
-        message: "Either videoId or campaignId is required",
-      })
-    }
-
-    let matches = []
+// Remove a video, archiving its agreed matches and deleting the rest
+app.delete(
+  "/api/admin/videos/:videoId",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { videoId } = req.params
 
-    if (videoId) {
-      // Find matches for a specific video
-      const video = await Video.findById(videoId).populate("creatorId", "name")
+      const video = mongoose.isValidObjectId(videoId)
+        ? await Video.findById(videoId)
+        : null
       if (!video) {
         return res.status(404).json({
           success: false,
@@ -614,75 +6717,43 @@ app.post("/api/ai/find-matches", authenticateToken, async (req, res) => {
         })
       }
 
-      // Verify video belongs to the creator
-      if (
-        req.user.role === "creator" &&
-        video.creatorId._id.toString() !== req.user._id.toString()
-      ) {
-        return res.status(403).json({
-          success: false,
-          message: "Unauthorized",
-        })
-      }
-
-      const campaigns = await Campaign.find().populate("marketerId", "name")
-
-      for (const campaign of campaigns) {
-        // Check if match already exists
-        const existingMatch = await Match.findOne({
-          videoId,
-          campaignId: campaign._id,
-        })
-        if (existingMatch) {
-          matches.push(
-            await Match.findById(existingMatch._id)
-              .populate({
-                path: "videoId",
-                populate: { path: "creatorId", select: "name" },
-              })
-              .populate({
-                path: "campaignId",
-                populate: { path: "marketerId", select: "name" },
-              })
-          )
-          continue
-        }
-
-        // Generate new match using AI
-        const aiResult = await geminiService.findMatches(video, campaign)
-
-        const newMatch = new Match({
-          videoId,
-          campaignId: campaign._id,
-          matchScore: aiResult.score,
-          reasoning: aiResult.reasoning,
-        })
-
-        await newMatch.save()
+      const result = await deleteVideoCascade(video, req.user._id)
 
-        // Update video status
-        await Video.findByIdAndUpdate(videoId, { status: "matched" })
+      console.log("✅ Video removed by admin")
 
-        const populatedMatch = await Match.findById(newMatch._id)
-          .populate({
-            path: "videoId",
-            populate: { path: "creatorId", select: "name" },
-          })
-          .populate({
-            path: "campaignId",
-            populate: { path: "marketerId", select: "name" },
-          })
+      await recordAudit(req, {
+        action: "admin.video_remove",
+        targetType: "Video",
+        before: video,
+        metadata: result,
+      })
 
-        matches.push(populatedMatch)
-      }
+      res.json({
+        success: true,
+        message: "Video removed successfully",
+      })
+    } catch (error) {
+      console.log("❌ Video removal failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Video removal failed",
+      })
     }
+  }
+)
 
-    if (campaignId) {
-      // Find matches for a specific campaign
-      const campaign = await Campaign.findById(campaignId).populate(
-        "marketerId",
-        "name"
-      )
+// Remove a campaign, archiving its agreed matches and deleting the rest
+app.delete(
+  "/api/admin/campaigns/:campaignId",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { campaignId } = req.params
+
+      const campaign = mongoose.isValidObjectId(campaignId)
+        ? await Campaign.findById(campaignId)
+        : null
       if (!campaign) {
         return res.status(404).json({
           success: false,
@@ -690,443 +6761,631 @@ app.post("/api/ai/find-matches", authenticateToken, async (req, res) => {
         })
       }
 
-      // Verify campaign belongs to the marketer
-      if (
-        req.user.role === "marketer" &&
-        campaign.marketerId._id.toString() !== req.user._id.toString()
-      ) {
-        return res.status(403).json({
-          success: false,
-          message: "Unauthorized",
-        })
-      }
-
-      const videos = await Video.find().populate("creatorId", "name")
-
-      for (const video of videos) {
-        // Check if match already exists
-        const existingMatch = await Match.findOne({
-          videoId: video._id,
-          campaignId,
-        })
-        if (existingMatch) {
-          matches.push(
-            await Match.findById(existingMatch._id)
-              .populate({
-                path: "videoId",
-                populate: { path: "creatorId", select: "name" },
-              })
-              .populate({
-                path: "campaignId",
-                populate: { path: "marketerId", select: "name" },
-              })
-          )
-          continue
-        }
-
-        // Generate new match using AI
-        const aiResult = await geminiService.findMatches(video, campaign)
-
-        const newMatch = new Match({
-          videoId: video._id,
-          campaignId,
-          matchScore: aiResult.score,
-          reasoning: aiResult.reasoning,
-        })
-
-        await newMatch.save()
-
-        // Update video status
-        await Video.findByIdAndUpdate(video._id, { status: "matched" })
-
-        const populatedMatch = await Match.findById(newMatch._id)
-          .populate({
-            path: "videoId",
-            populate: { path: "creatorId", select: "name" },
-          })
-          .populate({
-            path: "campaignId",
-            populate: { path: "marketerId", select: "name" },
-          })
-
-        matches.push(populatedMatch)
-      }
-    }
-
-    // Sort matches by score (highest first)
-    matches.sort((a, b) => b.matchScore - a.matchScore)
-
-    console.log("✅ AI matches generated")
-
-    res.json({
-      success: true,
-      data: {
-        matches: matches.map(formatMatchData),
-      },
-      message: "Matches generated successfully",
-    })
-  } catch (error) {
-    console.log("❌ AI matching failed:", error.message)
-    res.status(500).json({
-      success: false,
-      message: "AI matching failed",
-    })
-  }
-})
-
-// ==================== ANALYTICS ROUTES ====================
-
-// Creator analytics
-app.get(
-  "/api/analytics/creator",
-  authenticateToken,
-  requireRole("creator"),
-  async (req, res) => {
-    try {
-      const totalVideos = await Video.countDocuments({
-        creatorId: req.user._id,
-      })
-
-      const videoIds = await Video.find({ creatorId: req.user._id }).select(
-        "_id"
-      )
-      const videoIdList = videoIds.map((v) => v._id)
-
-      const pendingMatches = await Match.countDocuments({
-        videoId: { $in: videoIdList },
-        status: "pending",
-      })
+      const result = await deleteCampaignCascade(campaign, req.user._id)
 
-      const acceptedMatches = await Match.countDocuments({
-        videoId: { $in: videoIdList },
-        status: "accepted",
-      })
+      console.log("✅ Campaign removed by admin")
 
-      const rejectedMatches = await Match.countDocuments({
-        videoId: { $in: videoIdList },
-        status: "rejected",
+      await recordAudit(req, {
+        action: "admin.campaign_remove",
+        targetType: "Campaign",
+        before: campaign,
+        metadata: result,
       })
 
-      console.log("✅ Creator analytics retrieved")
-
       res.json({
         success: true,
-        data: {
-          totalVideos,
-          pendingMatches,
-          acceptedMatches,
-          rejectedMatches,
-        },
-        message: "Creator analytics retrieved successfully",
+        message: "Campaign removed successfully",
       })
     } catch (error) {
-      console.log("❌ Creator analytics failed:", error.message)
+      console.log("❌ Campaign removal failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Creator analytics failed",
+        message: "Campaign removal failed",
       })
     }
   }
 )
 
-// Marketer analytics
-app.get(
-  "/api/analytics/marketer",
+const formatTaxonomyTermData = (term) => ({
+  id: term._id,
+  type: term.type,
+  value: term.value,
+  label: term.label,
+  parent: term.parent,
+  synonyms: term.synonyms,
+  updatedAt: term.updatedAt,
+})
+
+// Check the :type parameter of the taxonomy admin routes, or answer 404
+const taxonomyTypeParam = (req, res) => {
+  const { type } = req.params
+  if (!TAXONOMY_TYPES.includes(type)) {
+    res.status(404).json({
+      success: false,
+      message: `Taxonomy type must be one of: ${TAXONOMY_TYPES.join(", ")}`,
+    })
+    return null
+  }
+  return type
+}
+
+// Load a taxonomy term by type and value, or answer 404
+const loadTaxonomyTerm = async (req, res) => {
+  const type = taxonomyTypeParam(req, res)
+  if (!type) return null
+
+  const term = await TaxonomyTerm.findOne({ type, value: req.params.value })
+  if (!term) {
+    res.status(404).json({
+      success: false,
+      message: "Taxonomy term not found",
+    })
+    return null
+  }
+  return term
+}
+
+// Add a genre, tone or category
+app.post(
+  "/api/admin/taxonomy/:type",
   authenticateToken,
-  requireRole("marketer"),
+  requireRole("admin"),
   async (req, res) => {
     try {
-      const totalCampaigns = await Campaign.countDocuments({
-        marketerId: req.user._id,
-      })
+      const type = taxonomyTypeParam(req, res)
+      if (!type) return
 
-      const campaignIds = await Campaign.find({
-        marketerId: req.user._id,
-      }).select("_id")
-      const campaignIdList = campaignIds.map((c) => c._id)
+      const { errors, term: fields } = parseTaxonomyTerm(type, req.body)
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join("; "),
+        })
+      }
 
-      const totalMatches = await Match.countDocuments({
-        campaignId: { $in: campaignIdList },
-      })
+      let term
+      try {
+        term = await TaxonomyTerm.create({ type, ...fields })
+      } catch (error) {
+        if (error.code !== 11000) throw error
+        return res.status(409).json({
+          success: false,
+          message: `${type} already has ${fields.value}`,
+        })
+      }
+      await loadTaxonomy()
 
-      const acceptedMatches = await Match.countDocuments({
-        campaignId: { $in: campaignIdList },
-        status: "accepted",
-      })
+      console.log("✅ Taxonomy term created")
 
-      const rejectedMatches = await Match.countDocuments({
-        campaignId: { $in: campaignIdList },
-        status: "rejected",
+      await recordAudit(req, {
+        action: "taxonomy.create",
+        targetType: "TaxonomyTerm",
+        after: term,
       })
 
-      console.log("✅ Marketer analytics retrieved")
-
-      res.json({
+      res.status(201).json({
         success: true,
         data: {
-          totalCampaigns,
-          totalMatches,
-          acceptedMatches,
-          rejectedMatches,
+          term: formatTaxonomyTermData(term),
         },
-        message: "Marketer analytics retrieved successfully",
+        message: "Taxonomy term created successfully",
       })
     } catch (error) {
-      console.log("❌ Marketer analytics failed:", error.message)
+      console.log("❌ Taxonomy term creation failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Marketer analytics failed",
+        message: "Taxonomy term creation failed",
       })
     }
   }
 )
 
-// ==================== AI CHAT SYSTEM ROUTES ====================
-
-// Format functions for chat system
-const formatChatData = (chat) => ({
-  id: chat._id,
-  title: chat.title,
-  marketerId: chat.marketerId,
-  isActive: chat.isActive,
-  createdAt: chat.createdAt,
-})
-
-const formatMessageData = (message) => ({
-  id: message._id,
-  chatId: message.chatId,
-  content: message.content,
-  sender: message.sender,
-  metadata: message.metadata,
-  createdAt: message.createdAt,
-})
-
-// Create new chat
-app.post(
-  "/api/chat/create",
+// Change a term's label, parent or synonyms
+app.patch(
+  "/api/admin/taxonomy/:type/:value",
   authenticateToken,
-  requireRole("marketer"),
+  requireRole("admin"),
   async (req, res) => {
     try {
-      const { title } = req.body
+      const term = await loadTaxonomyTerm(req, res)
+      if (!term) return
 
-      if (!title) {
+      const { errors, term: fields } = parseTaxonomyTerm(
+        term.type,
+        req.body,
+        term
+      )
+      if (errors.length) {
         return res.status(400).json({
           success: false,
-          message: "Chat title is required",
+          message: errors.join("; "),
         })
       }
 
-      const chat = new Chat({
-        title,
-        marketerId: req.user._id,
-      })
+      const before = snapshot(term)
+      term.set(fields)
+      await term.save()
+      await loadTaxonomy()
 
-      await chat.save()
-      console.log("✅ Chat created successfully")
+      console.log("✅ Taxonomy term updated")
 
-      res.status(201).json({
+      await recordAudit(req, {
+        action: "taxonomy.update",
+        targetType: "TaxonomyTerm",
+        before,
+        after: term,
+      })
+
+      res.json({
         success: true,
         data: {
-          chat: formatChatData(chat),
+          term: formatTaxonomyTermData(term),
         },
-        message: "Chat created successfully",
+        message: "Taxonomy term updated successfully",
       })
     } catch (error) {
-      console.log("❌ Chat creation failed:", error.message)
+      console.log("❌ Taxonomy term update failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Chat creation failed",
+        message: "Taxonomy term update failed",
       })
     }
   }
 )
 
-// Get marketer's chats
-app.get(
-  "/api/chat/my-chats",
+// Delete a term nothing uses any more
+app.delete(
+  "/api/admin/taxonomy/:type/:value",
   authenticateToken,
-  requireRole("marketer"),
+  requireRole("admin"),
   async (req, res) => {
     try {
-      const chats = await Chat.find({ marketerId: req.user._id }).sort({
-        createdAt: -1,
-      })
+      const term = await loadTaxonomyTerm(req, res)
+      if (!term) return
 
-      console.log("✅ Chats retrieved successfully")
+      const blocker = await termDeletionBlocker(term.type, term.value)
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          message: blocker,
+        })
+      }
+
+      await term.deleteOne()
+      await loadTaxonomy()
+
+      console.log("✅ Taxonomy term deleted")
+
+      await recordAudit(req, {
+        action: "taxonomy.delete",
+        targetType: "TaxonomyTerm",
+        before: term,
+      })
 
       res.json({
         success: true,
-        data: {
-          chats: chats.map(formatChatData),
-        },
-        message: "Chats retrieved successfully",
+        message: "Taxonomy term deleted successfully",
       })
     } catch (error) {
-      console.log("❌ Chats retrieval failed:", error.message)
+      console.log("❌ Taxonomy term deletion failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Chats retrieval failed",
+        message: "Taxonomy term deletion failed",
       })
     }
   }
 )
 
-// Get chat messages
+// Query the audit log
 app.get(
-  "/api/chat/:chatId/messages",
+  "/api/admin/audit-events",
   authenticateToken,
-  requireRole("marketer"),
+  requireRole("admin"),
   async (req, res) => {
     try {
-      const { chatId } = req.params
+      const { actorId, action, targetType, targetId, from, to } = req.query
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || 50, 1),
+        200
+      )
 
-      // Verify chat belongs to the marketer
-      const chat = await Chat.findOne({ _id: chatId, marketerId: req.user._id })
-      if (!chat) {
-        return res.status(404).json({
-          success: false,
-          message: "Chat not found",
-        })
+      // qs turns ?action[$ne]=x into an object; only plain strings may
+      // reach the filter
+      for (const [name, value] of Object.entries({
+        actorId,
+        action,
+        targetType,
+        targetId,
+        from,
+        to,
+      })) {
+        if (value !== undefined && typeof value !== "string") {
+          return res.status(400).json({
+            success: false,
+            message: `${name} must be a single value`,
+          })
+        }
       }
 
-      const messages = await Message.find({ chatId }).sort({ createdAt: 1 })
+      for (const [name, value] of Object.entries({ actorId, targetId })) {
+        if (value && !mongoose.isValidObjectId(value)) {
+          return res.status(400).json({
+            success: false,
+            message: `${name} must be a valid id`,
+          })
+        }
+      }
 
-      console.log("✅ Chat messages retrieved")
+      const filter = {}
+      if (actorId) filter.actorId = actorId
+      if (targetType) filter.targetType = targetType
+      if (targetId) filter.targetId = targetId
+      if (action) {
+        // "match" matches every match.* action, "match.accept" only that one
+        filter.action = action.includes(".")
+          ? action
+          : new RegExp(`^${escapeRegex(action)}\\.`)
+      }
+      if (from || to) {
+        filter.createdAt = {}
+        if (from) filter.createdAt.$gte = new Date(from)
+        if (to) filter.createdAt.$lte = new Date(to)
+        if (Object.values(filter.createdAt).some((d) => isNaN(d))) {
+          return res.status(400).json({
+            success: false,
+            message: "from and to must be valid dates",
+          })
+        }
+      }
+
+      const [events, total] = await Promise.all([
+        AuditEvent.find(filter)
+          .populate("actorId", "name email role")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditEvent.countDocuments(filter),
+      ])
+
+      console.log("✅ Audit events retrieved")
 
       res.json({
         success: true,
         data: {
-          messages: messages.map(formatMessageData),
+          events: events.map(formatAuditEventData),
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
         },
-        message: "Messages retrieved successfully",
+        message: "Audit events retrieved successfully",
       })
     } catch (error) {
-      console.log("❌ Messages retrieval failed:", error.message)
+      console.log("❌ Audit events retrieval failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Messages retrieval failed",
+        message: "Audit events retrieval failed",
       })
     }
   }
 )
 
-// Send message to chat
+// Settle a match's escrow by hand: "release" pays a completed match's
+// creator, "refund" returns the money to the marketer who funded it
+const settleEscrow = (action) => async (req, res) => {
+  try {
+    const { matchId } = req.params
+
+    const match = mongoose.isValidObjectId(matchId)
+      ? await Match.findById(matchId)
+      : null
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: "Match not found",
+      })
+    }
+
+    if (action === "release" && match.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "Escrow is only released for completed matches",
+      })
+    }
+    if (action === "refund" && match.status === "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "Escrow of a completed match goes to the creator",
+      })
+    }
+
+    const transaction =
+      action === "release"
+        ? await releaseEscrow(match._id, req.user._id)
+        : await refundEscrow(match._id, req.user._id)
+    if (!transaction) {
+      return res.status(409).json({
+        success: false,
+        message: "Nothing is held in escrow for this match",
+      })
+    }
+
+    console.log(`✅ Escrow ${action === "release" ? "released" : "refunded"}`)
+
+    await recordAudit(req, {
+      action: `escrow.${action}`,
+      targetType: "LedgerTransaction",
+      after: transaction,
+      metadata: { matchId: match._id },
+    })
+
+    res.json({
+      success: true,
+      data: {
+        transaction: formatLedgerTransactionData(transaction),
+      },
+      message: `Escrow ${
+        action === "release" ? "released" : "refunded"
+      } successfully`,
+    })
+  } catch (error) {
+    console.log(`❌ Escrow ${action} failed:`, error.message)
+    res.status(500).json({
+      success: false,
+      message: `Escrow ${action} failed`,
+    })
+  }
+}
+
 app.post(
-  "/api/chat/:chatId/message",
+  "/api/admin/matches/:matchId/escrow/release",
   authenticateToken,
-  requireRole("marketer"),
+  requireRole("admin"),
+  settleEscrow("release")
+)
+
+app.post(
+  "/api/admin/matches/:matchId/escrow/refund",
+  authenticateToken,
+  requireRole("admin"),
+  settleEscrow("refund")
+)
+
+// ==================== MEDIA ROUTES ====================
+
+// Get a signed URL for a video file
+app.get(
+  "/api/media/videos/:videoId",
+  authenticateToken,
+  requireScope("media:read"),
   async (req, res) => {
     try {
-      const { chatId } = req.params
-      const { content } = req.body
+      const { videoId } = req.params
 
-      if (!content) {
-        return res.status(400).json({
+      const video = mongoose.isValidObjectId(videoId)
+        ? await Video.findById(videoId)
+        : null
+      if (!video) {
+        return res.status(404).json({
           success: false,
-          message: "Message content is required",
+          message: "Video not found",
         })
       }
 
-      // Verify chat belongs to the marketer
-      const chat = await Chat.findOne({ _id: chatId, marketerId: req.user._id })
-      if (!chat) {
-        return res.status(404).json({
+      if (!(await canAccessVideo(req.user, video))) {
+        return res.status(403).json({
           success: false,
-          message: "Chat not found",
+          message: "Unauthorized",
         })
       }
 
-      // Save user message
-      const userMessage = new Message({
-        chatId,
-        content,
-        sender: "user",
+      console.log("✅ Video URL signed")
+
+      res.json({
+        success: true,
+        data: createSignedUrl("videos", video.videoKey, req.user._id),
+        message: "Video URL generated successfully",
       })
-      await userMessage.save()
+    } catch (error) {
+      console.log("❌ Video URL signing failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Video URL generation failed",
+      })
+    }
+  }
+)
 
-      // Get data for AI context
-      const campaigns = await Campaign.find({
-        marketerId: req.user._id,
-      }).populate("marketerId", "name")
+// Get a signed URL for a video's poster thumbnail
+app.get(
+  "/api/media/videos/:videoId/thumbnail",
+  authenticateToken,
+  requireScope("media:read"),
+  async (req, res) => {
+    try {
+      const { videoId } = req.params
 
-      const videos = await Video.find().populate("creatorId", "name")
+      const video = mongoose.isValidObjectId(videoId)
+        ? await Video.findById(videoId)
+        : null
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: "Video not found",
+        })
+      }
 
-      // Generate AI response
-      const aiResponse = await geminiService.processChatQuery(
-        content,
-        campaigns.map(formatCampaignData),
-        videos.map(formatVideoData)
-      )
+      if (!(await canAccessVideo(req.user, video))) {
+        return res.status(403).json({
+          success: false,
+          message: "Unauthorized",
+        })
+      }
 
-      // Save AI message
-      const aiMessage = new Message({
-        chatId,
-        content: aiResponse,
-        sender: "ai",
-      })
-      await aiMessage.save()
+      if (!video.thumbnailKey) {
+        return res.status(404).json({
+          success: false,
+          message: "Thumbnail not available",
+        })
+      }
 
-      console.log("✅ Chat messages sent and AI response generated")
+      console.log("✅ Thumbnail URL signed")
 
       res.json({
         success: true,
-        data: {
-          userMessage: formatMessageData(userMessage),
-          aiMessage: formatMessageData(aiMessage),
-        },
-        message: "Messages sent successfully",
+        data: createSignedUrl("thumbnails", video.thumbnailKey, req.user._id),
+        message: "Thumbnail URL generated successfully",
       })
     } catch (error) {
-      console.log("❌ Message sending failed:", error.message)
+      console.log("❌ Thumbnail URL signing failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Message sending failed",
+        message: "Thumbnail URL generation failed",
       })
     }
   }
 )
 
-// Delete chat
-app.delete(
-  "/api/chat/:chatId",
+// Get a signed URL for a campaign asset: the cover (first) asset, or one
+// gallery asset by id
+app.get(
+  [
+    "/api/media/campaigns/:campaignId/asset",
+    "/api/media/campaigns/:campaignId/assets/:assetId",
+  ],
   authenticateToken,
-  requireRole("marketer"),
+  requireScope("media:read"),
   async (req, res) => {
     try {
-      const { chatId } = req.params
+      const { campaignId } = req.params
 
-      // Verify chat belongs to the marketer
-      const chat = await Chat.findOne({ _id: chatId, marketerId: req.user._id })
-      if (!chat) {
+      const campaign = mongoose.isValidObjectId(campaignId)
+        ? await Campaign.findById(campaignId)
+        : null
+      if (!campaign) {
         return res.status(404).json({
           success: false,
-          message: "Chat not found",
+          message: "Campaign not found",
         })
       }
 
-      // Delete all messages in the chat
-      await Message.deleteMany({ chatId })
+      if (!(await canAccessCampaignAsset(req.user, campaign))) {
+        return res.status(403).json({
+          success: false,
+          message: "Unauthorized",
+        })
+      }
 
-      // Delete the chat
-      await Chat.findByIdAndDelete(chatId)
+      const { assetId } = req.params
+      const asset = assetId
+        ? mongoose.isValidObjectId(assetId) && campaign.assets.id(assetId)
+        : campaign.assets[0]
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          message: "Asset not found",
+        })
+      }
 
-      console.log("✅ Chat deleted successfully")
+      console.log("✅ Asset URL signed")
 
       res.json({
         success: true,
-        message: "Chat deleted successfully",
+        data: createSignedUrl("assets", asset.key, req.user._id),
+        message: "Asset URL generated successfully",
       })
     } catch (error) {
-      console.log("❌ Chat deletion failed:", error.message)
+      console.log("❌ Asset URL signing failed:", error.message)
       res.status(500).json({
         success: false,
-        message: "Chat deletion failed",
+        message: "Asset URL generation failed",
+      })
+    }
+  }
+)
+
+// Get a signed URL for a deliverable version
+app.get(
+  "/api/media/deliverables/:deliverableId",
+  authenticateToken,
+  requireScope("media:read"),
+  async (req, res) => {
+    try {
+      const deliverable = await loadDeliverableForUser(req, res)
+      if (!deliverable) return
+
+      console.log("✅ Deliverable URL signed")
+
+      res.json({
+        success: true,
+        data: createSignedUrl(
+          "deliverables",
+          deliverable.videoKey,
+          req.user._id
+        ),
+        message: "Deliverable URL generated successfully",
+      })
+    } catch (error) {
+      console.log("❌ Deliverable URL signing failed:", error.message)
+      res.status(500).json({
+        success: false,
+        message: "Deliverable URL generation failed",
       })
     }
   }
 )
 
+// Serve signed media files. Players cannot send auth headers, so the
+// signature in the query string is the credential.
+const serveSignedMedia = (kind) => async (req, res) => {
+  try {
+    const { filename } = req.params
+
+    const key = mediaKey(kind, filename)
+    const userId = key && verifySignedUrl(kind, filename, req.query)
+    if (!userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Invalid or expired media URL",
+      })
+    }
+
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId).select("status")
+      : null
+    if (!user || user.status === "suspended") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const sent = await sendMediaFile(req, res, key)
+    if (!sent) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      })
+    }
+  } catch (error) {
+    console.log("❌ Media delivery failed:", error.message)
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: "Media delivery failed",
+      })
+    }
+  }
+}
+
+app.get("/videos/:filename", serveSignedMedia("videos"))
+app.get("/assets/:filename", serveSignedMedia("assets"))
+app.get("/thumbnails/:filename", serveSignedMedia("thumbnails"))
+app.get("/deliverables/:filename", serveSignedMedia("deliverables"))
+
 // ==================== ERROR HANDLING ====================
 
 // 404 handler
@@ -1151,7 +7410,7 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000
 app.listen(PORT, () => {
   console.log(`🚀 AdVenture Backend Server running on port ${PORT}`)
-  console.log(`🔒 Authenticated file serving enabled for /assets and /videos`)
+  console.log(`🔒 Signed media URLs required for /assets and /videos`)
   console.log(
     `🔒 JWT Secret: ${process.env.JWT_SECRET ? "Configured" : "Not configured"}`
   )
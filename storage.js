@@ -0,0 +1,222 @@
+const fs = require("fs")
+const path = require("path")
+const { pipeline } = require("stream/promises")
+
+// Local staging area for files that must sit on this server's disk:
+// incoming uploads, partial resumable uploads and thumbnail output
+const TMP_DIR = process.env.STORAGE_TMP_DIR
+  ? path.resolve(process.env.STORAGE_TMP_DIR)
+  : path.join(__dirname, "uploads", "tmp")
+
+// Keys look like "videos/video-123.mp4": relative, no "..", no backslashes
+const isValidKey = (key) =>
+  typeof key === "string" &&
+  /^[\w-]+(\/[\w.-]+)+$/.test(key) &&
+  !key.split("/").some((part) => part === "." || part === "..")
+
+const assertKey = (key) => {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid storage key: ${key}`)
+  }
+}
+
+const tempPath = (name) =>
+  path.join(
+    TMP_DIR,
+    `${Date.now()}-${Math.round(Math.random() * 1e9)}-${path.basename(name)}`
+  )
+
+const unlinkQuietly = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath)
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+  }
+}
+
+// ==================== DRIVERS ====================
+// Every driver exposes:
+//   putFile(key, localPath)          store a local file; the local copy is consumed
+//   stat(key)                        { size, lastModified, etag } or null
+//   openReadStream(key, { start, end })
+//   delete(key)                      missing keys are not an error
+//   withLocalFile(key, fn)           run fn(localPath) against a readable local copy
+
+class LocalStorage {
+  constructor(root) {
+    this.root = path.resolve(root)
+  }
+
+  resolve(key) {
+    assertKey(key)
+    return path.join(this.root, ...key.split("/"))
+  }
+
+  async putFile(key, localPath) {
+    const target = this.resolve(key)
+    await fs.promises.mkdir(path.dirname(target), { recursive: true })
+    try {
+      await fs.promises.rename(localPath, target)
+    } catch (error) {
+      // Staging directory on another filesystem
+      if (error.code !== "EXDEV") throw error
+      await fs.promises.copyFile(localPath, target)
+      await fs.promises.unlink(localPath)
+    }
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key))
+      if (!stats.isFile()) return null
+      return {
+        size: stats.size,
+        lastModified: stats.mtime,
+        etag: `W/"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`,
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") return null
+      throw error
+    }
+  }
+
+  async openReadStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range)
+  }
+
+  async delete(key) {
+    await unlinkQuietly(this.resolve(key))
+  }
+
+  async withLocalFile(key, fn) {
+    return fn(this.resolve(key))
+  }
+}
+
+// Amazon S3 or any S3-compatible service such as MinIO
+class S3Storage {
+  constructor() {
+    const s3 = require("@aws-sdk/client-s3")
+    this.commands = s3
+
+    this.bucket = process.env.S3_BUCKET
+    if (!this.bucket) {
+      throw new Error("S3_BUCKET is required for the s3 storage driver")
+    }
+
+    const endpoint = process.env.S3_ENDPOINT
+    this.client = new s3.S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint,
+      // MinIO and most self-hosted services need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === "true"
+        : Boolean(endpoint),
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    })
+  }
+
+  async putFile(key, localPath) {
+    assertKey(key)
+    const { size } = await fs.promises.stat(localPath)
+    await this.client.send(
+      new this.commands.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(localPath),
+        ContentLength: size,
+      })
+    )
+    await fs.promises.unlink(localPath)
+  }
+
+  async stat(key) {
+    assertKey(key)
+    try {
+      const head = await this.client.send(
+        new this.commands.HeadObjectCommand({ Bucket: this.bucket, Key: key })
+      )
+      return {
+        size: head.ContentLength,
+        lastModified: head.LastModified,
+        etag: head.ETag,
+      }
+    } catch (error) {
+      if (
+        error.name === "NotFound" ||
+        error.$metadata?.httpStatusCode === 404
+      ) {
+        return null
+      }
+      throw error
+    }
+  }
+
+  async openReadStream(key, { start, end } = {}) {
+    assertKey(key)
+    const object = await this.client.send(
+      new this.commands.GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Range: start !== undefined ? `bytes=${start}-${end}` : undefined,
+      })
+    )
+    return object.Body
+  }
+
+  async delete(key) {
+    assertKey(key)
+    await this.client.send(
+      new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+    )
+  }
+
+  async withLocalFile(key, fn) {
+    await fs.promises.mkdir(TMP_DIR, { recursive: true })
+    const localPath = tempPath(key)
+    try {
+      await pipeline(
+        await this.openReadStream(key),
+        fs.createWriteStream(localPath)
+      )
+      return await fn(localPath)
+    } finally {
+      await unlinkQuietly(localPath)
+    }
+  }
+}
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || "local"
+
+  if (driver === "local") {
+    return new LocalStorage(
+      process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "uploads")
+    )
+  }
+  if (driver === "s3") {
+    return new S3Storage()
+  }
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`)
+}
+
+const storage = createStorage()
+console.log(
+  `🗄️ Storing uploads with the ${
+    storage instanceof S3Storage ? "S3" : "local disk"
+  } driver`
+)
+
+module.exports = {
+  storage,
+  TMP_DIR,
+  isValidKey,
+  tempPath,
+  LocalStorage,
+  S3Storage,
+}
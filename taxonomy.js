@@ -0,0 +1,587 @@
+const { TaxonomyTerm, Video, Campaign, UploadSession } = require("./models")
+
+// Controlled vocabulary for video genres and tones and campaign categories.
+// Input is matched case-insensitively against each term's value, label and
+// synonyms and stored as the canonical value. `parent` builds the hierarchy
+// used by matching, e.g. a "food" video also counts as "lifestyle".
+//
+// The terms live in the TaxonomyTerm collection, edited by admins through
+// /api/admin/taxonomy. A copy is kept in memory so lookups stay synchronous,
+// and reloaded every minute so every server sees edits. The defaults below
+// seed an empty collection and serve until the first load.
+
+const DEFAULT_TAXONOMY = {
+  genres: [
+    {
+      value: "comedy",
+      label: "Comedy",
+      synonyms: [
+        "funny",
+        "humor",
+        "humour",
+        "sketch",
+        "parody",
+        "stand-up",
+        "standup",
+        "pranks",
+      ],
+    },
+    {
+      value: "educational",
+      label: "Educational",
+      synonyms: [
+        "education",
+        "tutorial",
+        "how-to",
+        "howto",
+        "explainer",
+        "learning",
+      ],
+    },
+    {
+      value: "technology",
+      label: "Technology",
+      parent: "educational",
+      synonyms: ["tech", "gadgets", "unboxing", "tech review", "coding"],
+    },
+    {
+      value: "finance",
+      label: "Finance",
+      parent: "educational",
+      synonyms: ["money", "investing", "personal finance"],
+    },
+    {
+      value: "documentary",
+      label: "Documentary",
+      parent: "educational",
+      synonyms: ["docuseries", "investigative"],
+    },
+    {
+      value: "lifestyle",
+      label: "Lifestyle",
+      synonyms: ["vlog", "vlogs", "daily life", "day in the life"],
+    },
+    {
+      value: "fashion",
+      label: "Fashion",
+      parent: "lifestyle",
+      synonyms: ["style", "outfits", "lookbook", "haul"],
+    },
+    {
+      value: "beauty",
+      label: "Beauty",
+      parent: "lifestyle",
+      synonyms: ["makeup", "skincare", "hair"],
+    },
+    {
+      value: "travel",
+      label: "Travel",
+      parent: "lifestyle",
+      synonyms: ["travel vlog", "adventure", "tourism"],
+    },
+    {
+      value: "food",
+      label: "Food",
+      parent: "lifestyle",
+      synonyms: ["cooking", "recipe", "recipes", "mukbang", "food review"],
+    },
+    {
+      value: "fitness",
+      label: "Fitness",
+      parent: "lifestyle",
+      synonyms: ["workout", "gym", "exercise", "yoga"],
+    },
+    {
+      value: "entertainment",
+      label: "Entertainment",
+      synonyms: ["entertaining", "variety", "reaction", "reactions"],
+    },
+    {
+      value: "gaming",
+      label: "Gaming",
+      parent: "entertainment",
+      synonyms: [
+        "games",
+        "video games",
+        "gameplay",
+        "esports",
+        "let's play",
+        "lets play",
+      ],
+    },
+    {
+      value: "music",
+      label: "Music",
+      parent: "entertainment",
+      synonyms: ["music video", "song", "cover", "dance"],
+    },
+    {
+      value: "sports",
+      label: "Sports",
+      parent: "entertainment",
+      synonyms: ["sport", "athletics", "highlights"],
+    },
+    {
+      value: "drama",
+      label: "Drama",
+      parent: "entertainment",
+      synonyms: ["short film", "film", "storytelling", "skit"],
+    },
+    {
+      value: "animation",
+      label: "Animation",
+      parent: "entertainment",
+      synonyms: ["animated", "cartoon", "anime"],
+    },
+  ],
+
+  tones: [
+    {
+      value: "humorous",
+      label: "Humorous",
+      synonyms: ["funny", "comedic", "witty", "playful", "silly"],
+    },
+    {
+      value: "professional",
+      label: "Professional",
+      synonyms: ["formal", "corporate", "business", "polished"],
+    },
+    {
+      value: "informative",
+      label: "Informative",
+      synonyms: ["informational", "educational", "neutral", "factual"],
+    },
+    {
+      value: "inspirational",
+      label: "Inspirational",
+      synonyms: ["motivational", "uplifting", "inspiring", "aspirational"],
+    },
+    {
+      value: "emotional",
+      label: "Emotional",
+      synonyms: ["heartfelt", "touching", "sentimental", "moving"],
+    },
+    {
+      value: "energetic",
+      label: "Energetic",
+      synonyms: ["upbeat", "high energy", "exciting", "hype"],
+    },
+    {
+      value: "calm",
+      label: "Calm",
+      synonyms: ["relaxing", "chill", "soothing", "asmr"],
+    },
+    {
+      value: "casual",
+      label: "Casual",
+      synonyms: ["conversational", "laid-back", "laid back", "friendly"],
+    },
+    {
+      value: "dramatic",
+      label: "Dramatic",
+      synonyms: ["intense", "suspenseful", "serious"],
+    },
+    {
+      value: "edgy",
+      label: "Edgy",
+      synonyms: ["bold", "provocative", "irreverent"],
+    },
+  ],
+
+  categories: [
+    {
+      value: "entertainment",
+      label: "Entertainment",
+      synonyms: ["media", "streaming", "movies", "tv"],
+    },
+    {
+      value: "gaming",
+      label: "Gaming",
+      parent: "entertainment",
+      synonyms: ["games", "video games", "esports"],
+    },
+    {
+      value: "music",
+      label: "Music",
+      parent: "entertainment",
+      synonyms: ["audio", "concerts"],
+    },
+    {
+      value: "sports",
+      label: "Sports",
+      synonyms: ["sporting goods", "sportswear", "athletics"],
+    },
+    {
+      value: "fitness",
+      label: "Fitness",
+      parent: "sports",
+      synonyms: ["gym", "supplements", "activewear"],
+    },
+    {
+      value: "lifestyle",
+      label: "Lifestyle",
+      synonyms: ["consumer goods", "retail"],
+    },
+    {
+      value: "fashion",
+      label: "Fashion",
+      parent: "lifestyle",
+      synonyms: ["apparel", "clothing", "accessories", "jewelry", "footwear"],
+    },
+    {
+      value: "beauty",
+      label: "Beauty",
+      parent: "lifestyle",
+      synonyms: ["cosmetics", "skincare", "personal care"],
+    },
+    {
+      value: "travel",
+      label: "Travel",
+      parent: "lifestyle",
+      synonyms: ["hospitality", "tourism", "hotels", "airlines"],
+    },
+    {
+      value: "food",
+      label: "Food & Beverage",
+      parent: "lifestyle",
+      synonyms: [
+        "food and beverage",
+        "beverage",
+        "beverages",
+        "drinks",
+        "restaurants",
+        "snacks",
+        "grocery",
+      ],
+    },
+    {
+      value: "home",
+      label: "Home & Garden",
+      parent: "lifestyle",
+      synonyms: ["home and garden", "furniture", "home improvement", "decor"],
+    },
+    {
+      value: "technology",
+      label: "Technology",
+      synonyms: [
+        "tech",
+        "software",
+        "saas",
+        "electronics",
+        "apps",
+        "consumer electronics",
+      ],
+    },
+    {
+      value: "healthcare",
+      label: "Healthcare",
+      synonyms: ["health", "medical", "wellness", "pharma", "pharmaceutical"],
+    },
+    {
+      value: "business",
+      label: "Business",
+      synonyms: ["b2b", "enterprise", "professional services"],
+    },
+    {
+      value: "finance",
+      label: "Finance",
+      parent: "business",
+      synonyms: ["fintech", "banking", "insurance", "investing", "crypto"],
+    },
+    {
+      value: "education",
+      label: "Education",
+      synonyms: ["edtech", "courses", "e-learning", "elearning"],
+    },
+    {
+      value: "automotive",
+      label: "Automotive",
+      synonyms: ["cars", "auto", "vehicles", "motorsport"],
+    },
+  ],
+}
+
+const TAXONOMY_TYPES = Object.keys(DEFAULT_TAXONOMY)
+
+// Request field -> taxonomy type
+const FIELD_TYPES = { genre: "genres", tone: "tones", category: "categories" }
+
+const normalizeText = (text) =>
+  text.trim().toLowerCase().replace(/&/g, "and").replace(/\s+/g, " ")
+
+// The terms in use, with lookup tables from every accepted spelling to the
+// canonical value and from each value to its parent
+let taxonomy
+let lookups
+let parents
+
+const useTaxonomy = (terms) => {
+  taxonomy = terms
+  lookups = Object.fromEntries(
+    Object.entries(terms).map(([type, typeTerms]) => {
+      const lookup = new Map()
+      for (const term of typeTerms) {
+        for (const text of [term.value, term.label, ...term.synonyms]) {
+          lookup.set(normalizeText(text), term.value)
+        }
+      }
+      return [type, lookup]
+    })
+  )
+  parents = Object.fromEntries(
+    Object.entries(terms).map(([type, typeTerms]) => [
+      type,
+      new Map(typeTerms.map((term) => [term.value, term.parent || null])),
+    ])
+  )
+}
+
+useTaxonomy(DEFAULT_TAXONOMY)
+
+// Canonical value for free text, or null when it is not in the taxonomy
+const normalizeTerm = (type, input) =>
+  typeof input === "string"
+    ? lookups[type].get(normalizeText(input)) || null
+    : null
+
+// The value followed by its parents, e.g. ["food", "lifestyle"]
+const ancestorsOf = (type, value) => {
+  const chain = []
+  let current = value
+  while (current && !chain.includes(current)) {
+    chain.push(current)
+    current = parents[type].get(current)
+  }
+  return chain
+}
+
+// The value followed by every term below it, e.g. ["lifestyle", "fashion", ...]
+const descendantsOf = (type, value) => {
+  const values = [value]
+  for (let i = 0; i < values.length; i++) {
+    for (const [child, parent] of parents[type]) {
+      if (parent === values[i] && !values.includes(child)) values.push(child)
+    }
+  }
+  return values
+}
+
+// Normalize the taxonomy-backed fields of a request body, e.g.
+// { genre: "Funny" } -> { values: { genre: "comedy" }, errors: [] }
+const normalizeFields = (fields) => {
+  const result = { values: {}, errors: [] }
+
+  for (const [field, input] of Object.entries(fields)) {
+    const value = normalizeTerm(FIELD_TYPES[field], input)
+    if (value) {
+      result.values[field] = value
+    } else {
+      result.errors.push(
+        `Unknown ${field} "${input}". See GET /api/taxonomy for allowed values`
+      )
+    }
+  }
+
+  return result
+}
+
+// Public listing with each term's children
+const listTaxonomy = () =>
+  Object.fromEntries(
+    Object.entries(taxonomy).map(([type, terms]) => [
+      type,
+      terms.map((term) => ({
+        value: term.value,
+        label: term.label,
+        parent: term.parent || null,
+        children: terms
+          .filter((child) => child.parent === term.value)
+          .map((child) => child.value),
+        synonyms: term.synonyms,
+      })),
+    ])
+  )
+
+// ==================== STORAGE ====================
+
+// Read the terms from the database into memory, seeding an empty collection
+// with the defaults first
+const loadTaxonomy = async () => {
+  if (!(await TaxonomyTerm.exists({}))) {
+    const seed = Object.entries(DEFAULT_TAXONOMY).flatMap(([type, terms]) =>
+      terms.map((term) => ({
+        type,
+        value: term.value,
+        label: term.label,
+        parent: term.parent || null,
+        synonyms: term.synonyms,
+      }))
+    )
+    try {
+      await TaxonomyTerm.insertMany(seed, { ordered: false })
+      console.log(`✅ Seeded the taxonomy with ${seed.length} terms`)
+    } catch (error) {
+      // Another server seeded it first
+      if (error.code !== 11000) throw error
+    }
+  }
+
+  const terms = await TaxonomyTerm.find().sort({ _id: 1 }).lean()
+  useTaxonomy(
+    Object.fromEntries(
+      TAXONOMY_TYPES.map((type) => [
+        type,
+        terms
+          .filter((term) => term.type === type)
+          .map((term) => ({
+            value: term.value,
+            label: term.label,
+            parent: term.parent || undefined,
+            synonyms: term.synonyms,
+          })),
+      ])
+    )
+  )
+}
+
+const startTaxonomyRefresh = (intervalMs = 60 * 1000) => {
+  const run = () =>
+    loadTaxonomy().catch((error) =>
+      console.log("❌ Taxonomy reload failed:", error.message)
+    )
+  run()
+  const timer = setInterval(run, intervalMs)
+  timer.unref()
+  return timer
+}
+
+// ==================== ADMIN EDITS ====================
+
+const TERM_VALUE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/
+const MAX_SYNONYMS = 50
+
+// Validate a term to create (current null) or the changes to one. The value
+// cannot change, since videos and campaigns store it. Every spelling must
+// lead to a single term. Returns { errors, term } with the fields to write.
+const parseTaxonomyTerm = (type, body, current = null) => {
+  const errors = []
+  const term = {}
+  const value = current ? current.value : body.value
+
+  if (!current) {
+    if (
+      typeof value !== "string" ||
+      value.length > 50 ||
+      !TERM_VALUE_PATTERN.test(value)
+    ) {
+      errors.push("value must be 1-50 lowercase letters, numbers and dashes")
+    } else if (parents[type].has(value)) {
+      errors.push(`${type} already has ${value}`)
+    } else {
+      term.value = value
+    }
+  } else if (body.value !== undefined && body.value !== value) {
+    errors.push("value cannot be changed")
+  }
+
+  if (!current || body.label !== undefined) {
+    const label = typeof body.label === "string" ? body.label.trim() : ""
+    if (!label || label.length > 100) {
+      errors.push("label must be 1-100 characters")
+    } else {
+      term.label = label
+    }
+  }
+
+  if (body.parent !== undefined && body.parent !== null) {
+    if (!parents[type].has(body.parent)) {
+      errors.push(`parent must be one of the ${type}`)
+    } else if (ancestorsOf(type, body.parent).includes(value)) {
+      errors.push("parent cannot be the term itself or one below it")
+    } else {
+      term.parent = body.parent
+    }
+  } else if (body.parent === null || !current) {
+    term.parent = null
+  }
+
+  if (body.synonyms !== undefined || !current) {
+    const synonyms = body.synonyms ?? []
+    if (
+      !Array.isArray(synonyms) ||
+      synonyms.length > MAX_SYNONYMS ||
+      synonyms.some(
+        (synonym) =>
+          typeof synonym !== "string" || !synonym.trim() || synonym.length > 100
+      )
+    ) {
+      errors.push(
+        `synonyms must be an array of at most ${MAX_SYNONYMS} texts of 1-100 characters`
+      )
+    } else {
+      term.synonyms = [...new Set(synonyms.map((synonym) => synonym.trim()))]
+    }
+  }
+
+  if (!errors.length) {
+    const spellings = [
+      value,
+      term.label ?? current.label,
+      ...(term.synonyms ?? current.synonyms),
+    ]
+    for (const text of spellings) {
+      const owner = lookups[type].get(normalizeText(text))
+      if (owner && owner !== value) {
+        errors.push(`"${text}" already stands for ${owner}`)
+      }
+    }
+  }
+
+  return { errors, term: errors.length ? {} : term }
+}
+
+// Where each taxonomy type is stored, as query paths per model
+const TERM_USAGE = {
+  genres: [
+    [Video, ["genre"]],
+    [UploadSession, ["genre"]],
+    [Campaign, ["targeting.genres", "targeting.blockedGenres"]],
+  ],
+  tones: [
+    [Video, ["tone"]],
+    [UploadSession, ["tone"]],
+    [Campaign, ["targeting.excludedTones"]],
+  ],
+  categories: [[Campaign, ["category"]]],
+}
+
+// Why a term cannot be deleted, or null. Terms with sub-terms or still
+// stored on a document stay, so no record is left with an unknown value.
+const termDeletionBlocker = async (type, value) => {
+  const children = descendantsOf(type, value).slice(1)
+  if (children.length) {
+    return `${value} has sub-terms: ${children.join(", ")}`
+  }
+  for (const [Model, paths] of TERM_USAGE[type]) {
+    const used = await Model.exists({
+      $or: paths.map((field) => ({ [field]: value })),
+    })
+    if (used) return `${value} is still used by a ${Model.modelName}`
+  }
+  return null
+}
+
+module.exports = {
+  DEFAULT_TAXONOMY,
+  TAXONOMY_TYPES,
+  FIELD_TYPES,
+  normalizeTerm,
+  ancestorsOf,
+  descendantsOf,
+  normalizeFields,
+  listTaxonomy,
+  loadTaxonomy,
+  startTaxonomyRefresh,
+  parseTaxonomyTerm,
+  termDeletionBlocker,
+}
@@ -0,0 +1,183 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const { Session, UserToken } = require("./models")
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10
+)
+
+const USER_TOKEN_TTL = {
+  "email-verification": 24 * 60 * 60 * 1000,
+  "password-reset": 60 * 60 * 1000,
+}
+
+// Opaque random tokens are only ever stored as SHA-256 hashes
+const generateToken = (bytes = 48) => crypto.randomBytes(bytes).toString("hex")
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex")
+
+const signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  })
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+const buildTokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session),
+  refreshToken,
+  tokenType: "Bearer",
+  expiresIn: ACCESS_TOKEN_TTL,
+  refreshExpiresAt: session.expiresAt,
+})
+
+// Start a new device session and issue its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateToken()
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  })
+  await session.save()
+
+  return { session, tokens: buildTokenResponse(user, session, refreshToken) }
+}
+
+// Exchange a refresh token for a new pair. The swap is one conditional
+// update, so of two requests with the same token only one wins. Presenting
+// an already rotated token means it leaked (or raced), so the whole session
+// is revoked.
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken)
+  const nextToken = generateToken()
+  const now = new Date()
+
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+      },
+      $push: { rotatedTokenHashes: tokenHash },
+    },
+    { new: true }
+  )
+  if (!session) {
+    const reused = await Session.findOne({ rotatedTokenHashes: tokenHash })
+    if (reused) {
+      const { modifiedCount } = await revokeSession(
+        reused._id,
+        "refresh-token-reuse"
+      )
+      if (modifiedCount) {
+        console.log("⚠️ Refresh token reuse detected, session revoked")
+      }
+    }
+    return null
+  }
+
+  return { session, nextToken }
+}
+
+const revokeSession = (sessionId, reason = "logout") =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+
+const revokeAllSessions = (userId, reason = "logout-all") =>
+  Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+
+// ==================== EMAILED TOKENS ====================
+
+// Issue a fresh single-use token; older unused ones of the same type stop working
+const issueUserToken = async (user, type) => {
+  await UserToken.deleteMany({ userId: user._id, type, usedAt: null })
+
+  const token = generateToken(32)
+  await UserToken.create({
+    userId: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + USER_TOKEN_TTL[type]),
+  })
+
+  return token
+}
+
+// Atomically mark a token as used so it can never be redeemed twice
+const consumeUserToken = (token, type) =>
+  UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  )
+
+// ==================== API KEYS ====================
+
+const API_KEY_PREFIX = "adv_"
+
+const API_KEY_SCOPES = [
+  "profile:read",
+  "videos:read",
+  "videos:write",
+  "campaigns:read",
+  "campaigns:write",
+  "matches:read",
+  "matches:write",
+  "ai:match",
+  "analytics:read",
+  "chat:read",
+  "chat:write",
+  "media:read",
+  "payments:read",
+  "payments:write",
+]
+
+// Keys look like adv_<prefix>_<secret>; the prefix is kept in clear text so
+// users can tell their keys apart
+const generateApiKey = () => {
+  const prefix = generateToken(4)
+  const key = `${API_KEY_PREFIX}${prefix}_${generateToken(32)}`
+  return { key, prefix, keyHash: hashToken(key) }
+}
+
+const isApiKey = (token) =>
+  typeof token === "string" && token.startsWith(API_KEY_PREFIX)
+
+module.exports = {
+  generateToken,
+  hashToken,
+  signAccessToken,
+  buildTokenResponse,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  issueUserToken,
+  consumeUserToken,
+  API_KEY_SCOPES,
+  generateApiKey,
+  isApiKey,
+}
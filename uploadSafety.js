@@ -0,0 +1,168 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const { pipeline } = require("stream/promises")
+const { probeVideo } = require("./mediaProbe")
+
+// Rejected uploads are kept here for review instead of reaching storage
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR
+  ? path.resolve(process.env.QUARANTINE_DIR)
+  : path.join(__dirname, "quarantine")
+
+// Every format we accept, with the extension and MIME type we store it under
+const FORMATS = {
+  mp4: { kind: "video", extension: ".mp4", mimeType: "video/mp4" },
+  mov: { kind: "video", extension: ".mov", mimeType: "video/quicktime" },
+  webm: { kind: "video", extension: ".webm", mimeType: "video/webm" },
+  mkv: { kind: "video", extension: ".mkv", mimeType: "video/x-matroska" },
+  avi: { kind: "video", extension: ".avi", mimeType: "video/x-msvideo" },
+  png: { kind: "image", extension: ".png", mimeType: "image/png" },
+  jpeg: { kind: "image", extension: ".jpg", mimeType: "image/jpeg" },
+  gif: { kind: "image", extension: ".gif", mimeType: "image/gif" },
+  webp: { kind: "image", extension: ".webp", mimeType: "image/webp" },
+}
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+])
+
+// Identify a file from its first bytes. Returns a FORMATS key or null.
+// MP4 and Matroska are refined by probing the container afterwards.
+const sniffFormat = (header) => {
+  const ascii = (start, end) => header.toString("latin1", start, end)
+
+  if (header.length >= 12 && ascii(4, 8) === "ftyp") {
+    return ascii(8, 12) === "qt  " ? "mov" : "mp4"
+  }
+  if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+    return "webm"
+  }
+  if (header.length >= 12 && ascii(0, 4) === "RIFF") {
+    if (ascii(8, 12) === "AVI ") return "avi"
+    if (ascii(8, 12) === "WEBP") return "webp"
+  }
+  if (header.length >= 8 && header.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return "png"
+  }
+  if (
+    header.length >= 3 &&
+    header[0] === 0xff &&
+    header[1] === 0xd8 &&
+    header[2] === 0xff
+  ) {
+    return "jpeg"
+  }
+  if (header.length >= 6 && /^GIF8[79]a$/.test(ascii(0, 6))) {
+    return "gif"
+  }
+  return null
+}
+
+// Cheap structural checks for formats we do not fully parse. Returns an
+// error message, or null when the structure looks sound.
+const checkStructure = (format, header, size) => {
+  const ascii = (start, end) => header.toString("latin1", start, end)
+
+  switch (format) {
+    case "png":
+      return ascii(12, 16) === "IHDR" ? null : "PNG is missing its IHDR chunk"
+    case "gif":
+      return size >= 13 ? null : "GIF is truncated"
+    case "jpeg":
+      return size >= 4 ? null : "JPEG is truncated"
+    case "webp":
+      return /^VP8[ LX]$/.test(ascii(12, 16))
+        ? null
+        : "WebP is missing its image chunk"
+    case "avi":
+      // RIFF size counts everything after the first 8 bytes
+      return header.readUInt32LE(4) + 8 <= size && ascii(12, 16) === "LIST"
+        ? null
+        : "AVI structure is invalid"
+    default:
+      return null
+  }
+}
+
+// Check that a local file really is one of the allowed kinds ("video",
+// "image"). Resolves to { format, kind, extension, mimeType, size } or
+// throws with a message that is safe to show the uploader.
+const inspectUpload = async (localPath, allowedKinds) => {
+  const handle = await fs.promises.open(localPath, "r")
+  let header
+  let size
+  try {
+    size = (await handle.stat()).size
+    header = Buffer.alloc(Math.min(size, 64))
+    await handle.read(header, 0, header.length, 0)
+  } finally {
+    await handle.close()
+  }
+
+  let format = sniffFormat(header)
+  if (!format || !allowedKinds.includes(FORMATS[format].kind)) {
+    throw new Error(
+      `File content is not a supported ${allowedKinds.join(" or ")} format`
+    )
+  }
+
+  if (["mp4", "mov", "webm"].includes(format)) {
+    let probe
+    try {
+      probe = await probeVideo(localPath)
+    } catch (error) {
+      throw new Error(`Video container is invalid: ${error.message}`)
+    }
+    if (!probe.videoCodec) {
+      throw new Error("Video file has no video track")
+    }
+    if (probe.container === "mkv") format = "mkv"
+  } else {
+    const problem = checkStructure(format, header, size)
+    if (problem) throw new Error(problem)
+  }
+
+  return { format, size, ...FORMATS[format] }
+}
+
+const hashFile = async (localPath) => {
+  const hash = crypto.createHash("sha256")
+  await pipeline(fs.createReadStream(localPath), hash)
+  return hash.digest("hex")
+}
+
+// Move a rejected file into quarantine with a JSON note explaining why.
+// Never throws: a failed quarantine falls back to deleting the file.
+const quarantineFile = async (localPath, details) => {
+  const id = `${Date.now()}-${Math.round(Math.random() * 1e9)}`
+  try {
+    await fs.promises.mkdir(QUARANTINE_DIR, { recursive: true })
+    const target = path.join(QUARANTINE_DIR, `${id}.bin`)
+    try {
+      await fs.promises.rename(localPath, target)
+    } catch (error) {
+      if (error.code !== "EXDEV") throw error
+      await fs.promises.copyFile(localPath, target)
+      await fs.promises.unlink(localPath)
+    }
+    await fs.promises.writeFile(
+      path.join(QUARANTINE_DIR, `${id}.json`),
+      JSON.stringify({ id, ...details, quarantinedAt: new Date() }, null, 2)
+    )
+    console.log("🚫 Upload quarantined:", id, details.reason)
+    return id
+  } catch (error) {
+    console.log("❌ Quarantine failed:", error.message)
+    await fs.promises.unlink(localPath).catch(() => {})
+    return null
+  }
+}
+
+module.exports = {
+  QUARANTINE_DIR,
+  FORMATS,
+  sniffFormat,
+  inspectUpload,
+  hashFile,
+  quarantineFile,
+}
@@ -0,0 +1,130 @@
+// Request body validation helpers. Each validator returns an error message
+// string, or null when the value is acceptable.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value)
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value)
+    return url.protocol === "http:" || url.protocol === "https:"
+  } catch (error) {
+    return false
+  }
+}
+
+const string = (max) => (value, field) => {
+  if (typeof value !== "string") return `${field} must be a string`
+  if (value.length > max) return `${field} must be at most ${max} characters`
+  return null
+}
+
+const requiredString = (max) => (value, field) => {
+  if (typeof value !== "string" || !value.trim()) {
+    return `${field} cannot be empty`
+  }
+  return string(max)(value, field)
+}
+
+const url = (value, field) =>
+  typeof value === "string" && isHttpUrl(value)
+    ? null
+    : `${field} must be a valid http(s) URL`
+
+const integer = (min, max) => (value, field) => {
+  if (
+    Number.isInteger(value) &&
+    value >= min &&
+    (max === undefined || value <= max)
+  ) {
+    return null
+  }
+  return max === undefined
+    ? `${field} must be a whole number of at least ${min}`
+    : `${field} must be a whole number between ${min} and ${max}`
+}
+
+const number = (min, max) => (value, field) =>
+  typeof value === "number" && value >= min && value <= max
+    ? null
+    : `${field} must be a number between ${min} and ${max}`
+
+const oneOf = (values) => (value, field) =>
+  values.includes(value)
+    ? null
+    : `${field} must be one of: ${values.join(", ")}`
+
+const arrayOf = (validator, maxItems) => (value, field) => {
+  if (!Array.isArray(value)) return `${field} must be an array`
+  if (value.length > maxItems) {
+    return `${field} can contain at most ${maxItems} items`
+  }
+  for (let i = 0; i < value.length; i++) {
+    const error = validator(value[i], `${field}[${i}]`)
+    if (error) return error
+  }
+  return null
+}
+
+const pattern = (regex, description) => (value, field) =>
+  typeof value === "string" && regex.test(value)
+    ? null
+    : `${field} must be ${description}`
+
+// Validate a (possibly nested) partial update against a shape of validators.
+// Returns { errors, set, unset } with dot-notation paths ready for $set/$unset;
+// null clears a field.
+const validatePatch = (shape, body, prefix = "") => {
+  const result = { errors: [], set: {}, unset: {} }
+
+  if (!isPlainObject(body)) {
+    result.errors.push(`${prefix || "body"} must be an object`)
+    return result
+  }
+
+  for (const [key, value] of Object.entries(body)) {
+    const field = prefix ? `${prefix}.${key}` : key
+    const rule = shape[key]
+
+    if (!rule) {
+      result.errors.push(`${field} cannot be updated`)
+      continue
+    }
+
+    if (value === null) {
+      result.unset[field] = ""
+      continue
+    }
+
+    if (isPlainObject(rule)) {
+      const nested = validatePatch(rule, value, field)
+      result.errors.push(...nested.errors)
+      Object.assign(result.set, nested.set)
+      Object.assign(result.unset, nested.unset)
+      continue
+    }
+
+    const error = rule(value, field)
+    if (error) {
+      result.errors.push(error)
+    } else {
+      result.set[field] = typeof value === "string" ? value.trim() : value
+    }
+  }
+
+  return result
+}
+
+module.exports = {
+  isPlainObject,
+  isHttpUrl,
+  string,
+  requiredString,
+  url,
+  integer,
+  number,
+  oneOf,
+  arrayOf,
+  pattern,
+  validatePatch,
+}